@@ -0,0 +1,78 @@
+// Move selection for CPU players. Works on the same state shape as the engine and only
+// decides what to do; the caller submits the choice as a regular engine action.
+
+const { RANK_VALUES, getPlayRank, getPlayType, isSingleJoker, isStrengthReversed, getLegalPlays } = require('./engine');
+
+function getPlayStrength(cards, modifiers) {
+    if (isSingleJoker(cards)) return RANK_VALUES['joker'];
+    const value = getPlayType(cards, 'group', isStrengthReversed(modifiers)).value;
+    return isStrengthReversed(modifiers) ? -value : value;
+}
+
+// Lower is better. Keeps jokers and the strongest rank in reserve, avoids breaking up
+// pairs, dumps several cards at once when leading and uses 8切り to win the lead back.
+function scoreStrategicPlay(cards, hand, state) {
+    const { rules } = state.gameSettings;
+    const modifiers = state.modifiers;
+    if (cards.length === hand.length) return -Infinity;
+    const strongestRank = isStrengthReversed(modifiers) ? '3' : '2';
+    const isLeading = state.field.length === 0;
+    let score = getPlayStrength(cards, modifiers);
+    if (cards.some(c => c.rank === 'joker')) score += 30;
+    if (cards.some(c => c.rank === strongestRank)) score += 15;
+    if (getPlayType(cards).type === 'group') {
+        const rank = getPlayRank(cards);
+        if (hand.filter(c => c.rank === rank).length > cards.filter(c => c.rank === rank).length) score += 8;
+    }
+    if (isLeading) score -= cards.length * 3;
+    if (rules.eightCut && cards.some(c => c.rank === '8')) score += isLeading ? 5 : -10;
+    return score;
+}
+
+function pickStrategicPlay(plays, hand, state) {
+    return plays.map(cards => ({ cards, score: scoreStrategicPlay(cards, hand, state) }))
+        .reduce((a, b) => b.score < a.score ? b : a).cards;
+}
+
+// Returns the cards to play, or null to pass
+function chooseCpuPlay(state, player) {
+    const plays = getLegalPlays(player.hand, state.field, state.gameSettings.rules, state.modifiers, state.lastPlay?.type);
+    if (plays.length === 0) return null;
+    if (player.cpuLevel !== 'hard') {
+        return plays.reduce((best, cards) => {
+            const diff = getPlayStrength(cards, state.modifiers) - getPlayStrength(best, state.modifiers);
+            return diff < 0 || (diff === 0 && cards.length < best.length) ? cards : best;
+        });
+    }
+    const best = pickStrategicPlay(plays, player.hand, state);
+    const strongestRank = isStrengthReversed(state.modifiers) ? '3' : '2';
+    const spendsReserve = best.some(c => c.rank === 'joker' || c.rank === strongestRank);
+    // Pass rather than spend a joker or 2 early, unless it finishes the hand soon
+    if (state.field.length > 0 && spendsReserve && player.hand.length - best.length > 3) return null;
+    return best;
+}
+
+// Hint for a human player choosing among the given legal plays; never suggests passing
+function suggestPlay(state, hand, plays) {
+    return plays.length > 0 ? pickStrategicPlay(plays, hand, state) : null;
+}
+
+function chooseCpuExchange(player, count) {
+    if (player.cpuLevel !== 'hard') return player.hand.slice(0, count);
+    const rankCount = rank => player.hand.filter(c => c.rank === rank).length;
+    // Give away the weakest cards that are not part of a pair, an 8 or a joker
+    const keep = c => c.rank === 'joker' || c.rank === '8' || rankCount(c.rank) > 1;
+    return [...player.hand].sort((a, b) => keep(a) - keep(b) || a.value - b.value).slice(0, count);
+}
+
+// The CPU player that has to act next, if any
+function getPendingCpu(state) {
+    if (state.gameState === 'exchange') {
+        const exchange = state.exchanges.find(e => !e.done && state.players.find(p => p.id === e.richId)?.isCpu);
+        return exchange ? state.players.find(p => p.id === exchange.richId) : null;
+    }
+    const current = state.players[state.turnIndex];
+    return (state.gameState === 'playing' && current?.isCpu) ? current : null;
+}
+
+module.exports = { chooseCpuPlay, chooseCpuExchange, getPendingCpu, suggestPlay };
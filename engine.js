@@ -0,0 +1,669 @@
+// Pure Daifugo rules engine.
+// applyAction(state, action) never touches its input: it works on a copy and returns the
+// next state together with the events that happened, or an error message if the action
+// is not allowed. All randomness comes from a seeded generator kept in the state, so a
+// game can be reproduced from its seed and the list of actions applied to it.
+// Fields the engine does not know about (tokens, connection flags, ...) are carried through.
+
+const SUITS = ['s', 'h', 'd', 'c'];
+const RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
+const RANK_VALUES = {
+    '3': 1, '4': 2, '5': 3, '6': 4, '7': 5, '8': 6, '9': 7, '10': 8,
+    'J': 9, 'Q': 10, 'K': 11, 'A': 12, '2': 13, 'joker': 15
+};
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const DEFAULT_MAX_PLAYERS = 4;
+const SEATING_STATES = ['waiting', 'roundEnd', 'finished'];
+const DEFAULT_RULES = {
+    eightCut: true,        // 8切り
+    revolution: true,      // 革命
+    elevenBack: true,      // 11バック
+    spadeThree: true,      // スペ3返し
+    shibari: true,         // しばり
+    jokerFinishBan: true,  // ジョーカー上がり禁止
+};
+const EXCHANGE_PAIRS = [
+    { rich: '大富豪', poor: '大貧民', count: 2 },
+    { rich: '富豪', poor: '貧民', count: 1 },
+];
+
+function createGame({ seed = 0, limit = 0, rules, maxPlayers } = {}) {
+    const seats = normalizeMaxPlayers(maxPlayers);
+    return {
+        players: [],
+        gameState: 'waiting',
+        turnIndex: -1,
+        field: [],
+        lastPlay: null,
+        passCount: 0,
+        gameCount: 0,
+        gameSettings: { limit, rules: normalizeRules(rules), maxPlayers: seats, deck: getDeckConfig(seats) },
+        modifiers: createModifiers(),
+        ranks: [],
+        exchanges: [],
+        seed: seed >>> 0,
+        rngState: seed >>> 0,
+    };
+}
+
+function createPlayer(id, name) {
+    return { id, name, hand: [], status: 'playing', role: '平民', rank: null, points: 0 };
+}
+
+function createModifiers() {
+    return { revolution: false, elevenBack: false, lockedSuits: null };
+}
+
+function normalizeRules(rules) {
+    const normalized = { ...DEFAULT_RULES };
+    if (rules && typeof rules === 'object') {
+        Object.keys(DEFAULT_RULES).forEach(key => {
+            if (typeof rules[key] === 'boolean') normalized[key] = rules[key];
+        });
+    }
+    return normalized;
+}
+
+function normalizeMaxPlayers(maxPlayers) {
+    return Number.isInteger(maxPlayers) ? Math.min(Math.max(maxPlayers, MIN_PLAYERS), MAX_PLAYERS) : DEFAULT_MAX_PLAYERS;
+}
+
+// Keeps hands at roughly ten cards or more: a second joker from 5 seats, a second deck from 6
+function getDeckConfig(maxPlayers) {
+    return { decks: maxPlayers >= 6 ? 2 : 1, jokers: maxPlayers >= 5 ? 2 : 1 };
+}
+
+// mulberry32; advances the generator stored in the state
+function nextRandom(state) {
+    state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+    let t = state.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Every card gets an id that stays unique when several decks hold the same suit and rank
+function createDeck({ decks = 1, jokers = 1 } = {}) {
+    const deck = [];
+    for (let copy = 0; copy < decks; copy++) {
+        SUITS.forEach(suit => RANKS.forEach(rank => deck.push({ id: `${suit}${rank}:${copy}`, suit, rank, value: RANK_VALUES[rank] })));
+    }
+    for (let copy = 0; copy < jokers; copy++) {
+        deck.push({ id: `joker:${copy}`, suit: 'joker', rank: 'joker', value: RANK_VALUES['joker'] });
+    }
+    return deck;
+}
+
+function shuffleAndDeal(state) {
+    const deck = createDeck(state.gameSettings.deck);
+    for (let i = deck.length - 1; i > 0; i--) {
+        const j = Math.floor(nextRandom(state) * (i + 1));
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    const { players } = state;
+    players.forEach(p => p.hand = []);
+    deck.forEach((card, index) => players[index % players.length].hand.push(card));
+    players.forEach(p => sortHand(p.hand));
+}
+
+function sortHand(hand) {
+    hand.sort((a, b) => a.value - b.value || a.suit.localeCompare(b.suit));
+}
+
+function findNextPlayer(players, currentIndex) {
+    if (players.length === 0) return -1;
+    const activePlayers = players.filter(p => p.status === 'playing');
+    if (activePlayers.length === 0) return -1;
+
+    let nextIndex = (currentIndex + 1) % players.length;
+    while(players[nextIndex].status !== 'playing') {
+        nextIndex = (nextIndex + 1) % players.length;
+    }
+    return nextIndex;
+}
+
+function getPlayRank(cards) {
+    return cards.find(c => c.rank !== 'joker')?.rank || cards[0].rank;
+}
+
+// Classifies a play as a group of the same rank or a same-suit sequence (階段) of 3+ cards.
+// Jokers fill gaps in a sequence first; spare jokers extend it at whichever end makes it strongest:
+// upwards normally, downwards while strength is reversed.
+// One card with two jokers can be read either way: it is a group unless a sequence is preferred,
+// which is how it is read on a sequence field.
+function getPlayType(cards, preferredType = 'group', reversed = false) {
+    if (cards.length === 0) return null;
+    const group = getGroupType(cards);
+    const sequence = getSequenceType(cards, reversed);
+    return preferredType === 'sequence' ? sequence || group : group || sequence;
+}
+
+// The field is stored arranged, so a sequence on it is read from the positions its jokers took
+function getFieldPlay(field, fieldType = 'group') {
+    const play = getPlayType(field, fieldType);
+    if (play?.type !== 'sequence') return play;
+    const index = field.findIndex(c => c.rank !== 'joker');
+    return { ...play, value: RANK_VALUES[field[index].rank] - index };
+}
+
+function getGroupType(cards) {
+    const normalCards = cards.filter(c => c.rank !== 'joker');
+    if (!normalCards.every(c => c.rank === normalCards[0].rank)) return null;
+    const value = normalCards.length > 0 ? RANK_VALUES[normalCards[0].rank] : RANK_VALUES['joker'];
+    return { type: 'group', value, length: cards.length };
+}
+
+function getSequenceType(cards, reversed = false) {
+    const normalCards = cards.filter(c => c.rank !== 'joker');
+    if (cards.length < 3 || normalCards.length === 0 || !normalCards.every(c => c.suit === normalCards[0].suit)) return null;
+
+    const values = normalCards.map(c => RANK_VALUES[c.rank]).sort((a, b) => a - b);
+    if (values.some((v, i) => i > 0 && v === values[i - 1])) return null;
+    // The run must cover every normal card and stay within 3..2
+    const lowestStart = Math.max(values[values.length - 1] - cards.length + 1, RANK_VALUES['3']);
+    const highestStart = Math.min(values[0], RANK_VALUES['2'] - cards.length + 1);
+    if (lowestStart > highestStart) return null;
+    return { type: 'sequence', value: reversed ? lowestStart : highestStart, length: cards.length, suit: normalCards[0].suit };
+}
+
+// Orders a sequence from low to high with jokers in the positions they stand for
+function arrangePlay(cards, play = getPlayType(cards)) {
+    if (!play || play.type !== 'sequence') return cards;
+    const jokers = cards.filter(c => c.rank === 'joker');
+    const arranged = [];
+    for (let value = play.value; value < play.value + play.length; value++) {
+        arranged.push(cards.find(c => c.rank !== 'joker' && RANK_VALUES[c.rank] === value) || jokers.pop());
+    }
+    return arranged;
+}
+
+function getSuits(cards) {
+    return cards.filter(c => c.rank !== 'joker').map(c => c.suit).sort();
+}
+
+function isSingleJoker(cards) {
+    return cards.length === 1 && cards[0].rank === 'joker';
+}
+
+function isStrengthReversed(modifiers) {
+    return modifiers.revolution !== modifiers.elevenBack;
+}
+
+function beatsField(playedCards, play, field, fieldPlay, rules, modifiers) {
+    if (isSingleJoker(field))
+        return rules.spadeThree && playedCards.length === 1 && playedCards[0].suit === 's' && playedCards[0].rank === '3';
+    if (isSingleJoker(playedCards)) return true;
+    return isStrengthReversed(modifiers) ? play.value < fieldPlay.value : play.value > fieldPlay.value;
+}
+
+// Matches each requested card to a distinct card in the hand; null if any is missing.
+// Cards are matched by id when one is given, otherwise by suit and rank.
+function findCardsInHand(hand, cards) {
+    const remaining = [...hand];
+    const found = [];
+    for (const card of cards) {
+        const index = remaining.findIndex(h => card.id ? h.id === card.id : h.suit === card.suit && h.rank === card.rank);
+        if (index === -1) return null;
+        found.push(remaining.splice(index, 1)[0]);
+    }
+    return found;
+}
+
+// Rejections are a code plus parameters; the client turns them into text in the player's language
+function gameError(code, params = {}) {
+    return { code, params };
+}
+
+// fieldType is how the play on the field was read (lastPlay.type); a valid result carries the play's reading
+function validatePlay(playedCards, playerHand, field, rules = DEFAULT_RULES, modifiers = createModifiers(), fieldType = 'group') {
+    if (playedCards.length === 0) return { valid: false, error: gameError('NO_CARDS_SELECTED') };
+    // From here on the cards from the hand are judged, not the suit and rank sent along with an id
+    const cards = findCardsInHand(playerHand, playedCards);
+    if (!cards)
+        return { valid: false, error: gameError('NOT_IN_HAND') };
+    const fieldPlay = field.length > 0 ? getFieldPlay(field, fieldType) : null;
+    const play = getPlayType(cards, fieldPlay?.type, isStrengthReversed(modifiers));
+    if (!play)
+        return { valid: false, error: gameError('INVALID_COMBINATION') };
+    if (rules.jokerFinishBan && cards.length === playerHand.length && cards.some(c => c.rank === 'joker'))
+        return { valid: false, error: gameError('JOKER_FINISH_BANNED') };
+    if (fieldPlay) {
+        if (cards.length !== field.length)
+            return { valid: false, error: gameError('MUST_PLAY_N_CARDS', { n: field.length }) };
+        if (play.type !== fieldPlay.type)
+            return { valid: false, error: gameError(play.type === 'sequence' ? 'FIELD_NOT_SEQUENCE' : 'MUST_PLAY_SEQUENCE') };
+        if (modifiers.lockedSuits && !cards.every(c => c.rank === 'joker' || modifiers.lockedSuits.includes(c.suit)))
+            return { valid: false, error: gameError('SHIBARI_SUIT_REQUIRED', { suits: modifiers.lockedSuits }) };
+        if (!beatsField(cards, play, field, fieldPlay, rules, modifiers))
+            return { valid: false, error: gameError('MUST_BEAT_FIELD') };
+    }
+    return { valid: true, play };
+}
+
+function getSubsets(cards) {
+    const subsets = [];
+    for (let mask = 1; mask < (1 << cards.length); mask++) {
+        subsets.push(cards.filter((_, i) => mask & (1 << i)));
+    }
+    return subsets;
+}
+
+// Every group and sequence that can be formed from a hand, legal or not
+function getCandidatePlays(hand) {
+    const jokers = hand.filter(c => c.rank === 'joker');
+    const normalCards = hand.filter(c => c.rank !== 'joker');
+    const candidates = getSubsets(jokers);
+
+    const cardsByRank = new Map();
+    normalCards.forEach(c => cardsByRank.set(c.rank, [...(cardsByRank.get(c.rank) || []), c]));
+    cardsByRank.forEach(cards => {
+        getSubsets(cards).forEach(subset => {
+            for (let j = 0; j <= jokers.length; j++) candidates.push([...subset, ...jokers.slice(0, j)]);
+        });
+    });
+
+    // Jokers may also stand in for cards that are held, so every placement of them in each run is tried
+    SUITS.forEach(suit => {
+        const cardsByValue = new Map(normalCards.filter(c => c.suit === suit).map(c => [RANK_VALUES[c.rank], c]));
+        for (let start = RANK_VALUES['3']; start <= RANK_VALUES['2']; start++) {
+            const values = [];
+            for (let value = start; value <= RANK_VALUES['2']; value++) {
+                values.push(value);
+                const missing = values.filter(v => !cardsByValue.has(v));
+                if (missing.length > jokers.length) break;
+                if (values.length < 3) continue;
+                getCombinations(values, jokers.length)
+                    .filter(jokerValues => missing.every(v => jokerValues.includes(v)))
+                    .forEach(jokerValues => {
+                        let jokersUsed = 0;
+                        candidates.push(values.map(v => jokerValues.includes(v) ? jokers[jokersUsed++] : cardsByValue.get(v)));
+                    });
+            }
+        }
+    });
+    return candidates;
+}
+
+// Every selection of at most maxSize items, including the empty one
+function getCombinations(items, maxSize) {
+    const combinations = [[]];
+    items.forEach(item => {
+        combinations.filter(c => c.length < maxSize).forEach(c => combinations.push([...c, item]));
+    });
+    return combinations;
+}
+
+function getLegalPlays(hand, field, rules, modifiers, fieldType) {
+    const seen = new Set();
+    return getCandidatePlays(hand).filter(cards => {
+        const key = cards.map(c => `${c.suit}${c.rank}`).sort().join();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return validatePlay(cards, hand, field, rules, modifiers, fieldType).valid;
+    });
+}
+
+function getRoleNames(playerCount) {
+    if (playerCount <= 2) return ['大富豪', '大貧民'];
+    if (playerCount === 3) return ['大富豪', '平民', '大貧民'];
+    const roles = Array(playerCount).fill('平民');
+    roles[0] = '大富豪';
+    roles[1] = '富豪';
+    roles[playerCount - 2] = '貧民';
+    roles[playerCount - 1] = '大貧民';
+    return roles;
+}
+
+function getPendingExchange(state, playerId) {
+    const exchange = state.exchanges.find(e => e.richId === playerId && !e.done);
+    if (!exchange) return null;
+    const poorPlayer = state.players.find(p => p.id === exchange.poorId);
+    return { count: exchange.count, toId: exchange.poorId, toName: poorPlayer?.name };
+}
+
+// --- State transitions (operate on the working copy inside applyAction) ---
+
+// Updates the temporary modifiers for a play and reports whether it clears the field
+function applyHouseRules(state, player, cards, play, previousField, events) {
+    const { rules } = state.gameSettings;
+    const modifiers = state.modifiers;
+    const by = { playerId: player.id, name: player.name };
+    let clearsField = false;
+
+    if (rules.revolution && play.type === 'group' && cards.length >= 4) {
+        modifiers.revolution = !modifiers.revolution;
+        events.push({ type: 'revolution', ...by, active: modifiers.revolution });
+    }
+    if (rules.shibari && !modifiers.lockedSuits && previousField.length > 0
+        && !cards.some(c => c.rank === 'joker') && !previousField.some(c => c.rank === 'joker')
+        && getSuits(cards).join() === getSuits(previousField).join()) {
+        modifiers.lockedSuits = getSuits(cards);
+        events.push({ type: 'shibari', suits: modifiers.lockedSuits });
+    }
+    if (rules.elevenBack && play.type === 'group' && getPlayRank(cards) === 'J' && !modifiers.elevenBack) {
+        modifiers.elevenBack = true;
+        events.push({ type: 'elevenBack', ...by });
+    }
+    if (rules.eightCut && cards.some(c => c.rank === '8')) {
+        clearsField = true;
+        events.push({ type: 'eightCut', ...by });
+    } else if (rules.spadeThree && isSingleJoker(previousField) && cards.length === 1 && cards[0].suit === 's' && cards[0].rank === '3') {
+        clearsField = true;
+        events.push({ type: 'spadeThree', ...by });
+    }
+    return clearsField;
+}
+
+function clearField(state, events) {
+    if (events && state.field.length > 0) events.push({ type: 'fieldCleared' });
+    state.field = [];
+    state.lastPlay = null;
+    state.passCount = 0;
+    state.modifiers.elevenBack = false;
+    state.modifiers.lockedSuits = null;
+    state.players.forEach(p => { if (p.rank === null) p.status = 'playing'; });
+}
+
+function startTurn(state, events) {
+    events.push({ type: 'turnStarted', playerId: state.players[state.turnIndex]?.id ?? null });
+}
+
+function finishPlayer(state, player) {
+    player.status = 'finished';
+    state.ranks.push(player.id);
+    player.rank = state.ranks.length;
+}
+
+function endRound(state, events) {
+    const lastPlayer = state.players.find(p => p.rank === null);
+    if (lastPlayer) finishPlayer(state, lastPlayer);
+    const roleNames = getRoleNames(state.players.length);
+    state.players.forEach(p => {
+        p.role = roleNames[p.rank - 1];
+        p.points += state.players.length - p.rank;
+    });
+    clearField(state);
+    state.turnIndex = -1;
+    state.gameState = 'roundEnd';
+    const results = state.ranks.map(id => state.players.find(p => p.id === id))
+        .map(p => ({ playerId: p.id, name: p.name, rank: p.rank, role: p.role }));
+    events.push({ type: 'roundEnded', gameCount: state.gameCount, results });
+
+    if (state.gameSettings.limit > 0 && state.gameCount >= state.gameSettings.limit) endMatch(state, events);
+}
+
+function endMatch(state, events) {
+    state.gameState = 'finished';
+    const standings = [...state.players]
+        .sort((a, b) => b.points - a.points || a.rank - b.rank)
+        .map(p => ({ id: p.id, name: p.name, points: p.points, role: p.role }));
+    events.push({ type: 'matchEnded', gameCount: state.gameCount, standings });
+}
+
+function resetMatch(state) {
+    state.gameCount = 0;
+    state.players.forEach(p => { p.role = '平民'; p.points = 0; });
+}
+
+function resetGame(state) {
+    Object.assign(state, {
+        gameState: 'waiting', turnIndex: -1, field: [], lastPlay: null, passCount: 0,
+        modifiers: createModifiers(), ranks: [], exchanges: [],
+    });
+    state.players.forEach(p => {
+        p.hand = [];
+        p.status = 'playing';
+        p.rank = null;
+    });
+    resetMatch(state);
+}
+
+function startCardExchange(state, events) {
+    state.exchanges = [];
+    EXCHANGE_PAIRS.forEach(({ rich, poor, count }) => {
+        const richPlayer = state.players.find(p => p.role === rich);
+        const poorPlayer = state.players.find(p => p.role === poor);
+        if (!richPlayer || !poorPlayer) return;
+        // Hands are sorted weakest first, so the strongest cards are at the end
+        const tribute = poorPlayer.hand.splice(-count, count);
+        richPlayer.hand.push(...tribute);
+        sortHand(richPlayer.hand);
+        state.exchanges.push({ richId: richPlayer.id, poorId: poorPlayer.id, count, done: false });
+        events.push({
+            type: 'tributePaid', count, cards: tribute,
+            fromId: poorPlayer.id, fromName: poorPlayer.name, fromRole: poor,
+            toId: richPlayer.id, toName: richPlayer.name, toRole: rich,
+        });
+    });
+    return state.exchanges.length > 0;
+}
+
+function beginPlay(state, events) {
+    state.gameState = 'playing';
+    state.exchanges = [];
+    const daifuminIndex = state.players.findIndex(p => p.role === '大貧民');
+    state.turnIndex = (daifuminIndex !== -1) ? daifuminIndex : Math.floor(nextRandom(state) * state.players.length);
+    startTurn(state, events);
+}
+
+function startNextRound(state, events) {
+    state.gameCount++;
+    state.turnIndex = -1;
+    state.field = [];
+    state.lastPlay = null;
+    state.passCount = 0;
+    state.modifiers = createModifiers();
+    state.ranks = [];
+    state.players.forEach(p => { p.status = 'playing'; p.rank = null; });
+    shuffleAndDeal(state);
+    events.push({
+        type: 'roundStarted', gameCount: state.gameCount,
+        hands: Object.fromEntries(state.players.map(p => [p.id, [...p.hand]])),
+    });
+    if (startCardExchange(state, events)) {
+        state.gameState = 'exchange';
+        return;
+    }
+    beginPlay(state, events);
+}
+
+function getTurnPlayer(state, playerId) {
+    if (state.gameState !== 'playing') return { error: gameError('GAME_NOT_IN_PROGRESS') };
+    const player = state.players[state.turnIndex];
+    if (!player || player.id !== playerId) return { error: gameError('NOT_YOUR_TURN') };
+    return { player };
+}
+
+// --- Actions ---
+function addPlayer(state, { player }, events) {
+    if (state.players.some(p => p.id === player.id)) return gameError('ALREADY_JOINED');
+    if (state.players.length >= state.gameSettings.maxPlayers) return gameError('ROOM_FULL', { max: state.gameSettings.maxPlayers });
+    if (!SEATING_STATES.includes(state.gameState)) return gameError('JOIN_BETWEEN_GAMES');
+    state.players.push({ ...createPlayer(player.id, player.name), ...player });
+    events.push({ type: 'playerJoined', playerId: player.id, name: player.name });
+}
+
+function removePlayer(state, { playerId }, events) {
+    const playerIndex = state.players.findIndex(p => p.id === playerId);
+    if (playerIndex === -1) return gameError('PLAYER_NOT_FOUND');
+    const [player] = state.players.splice(playerIndex, 1);
+    events.push({ type: 'playerRemoved', playerId, name: player.name });
+
+    if (state.gameState !== 'waiting' && state.players.length < 2) {
+        resetGame(state);
+        events.push({ type: 'gameReset' });
+    } else if (state.gameState === 'exchange') {
+        state.exchanges = state.exchanges.filter(e => e.richId !== playerId && e.poorId !== playerId);
+        if (state.exchanges.every(e => e.done)) beginPlay(state, events);
+    } else if (state.gameState === 'playing') {
+        state.ranks = state.ranks.filter(id => id !== playerId);
+        state.players.forEach(p => { if (p.rank !== null) p.rank = state.ranks.indexOf(p.id) + 1; });
+        if (state.players.filter(p => p.rank === null).length <= 1) {
+            endRound(state, events);
+        } else if (playerIndex < state.turnIndex) {
+            state.turnIndex--;
+        } else if (playerIndex === state.turnIndex) {
+            const previousIndex = (playerIndex - 1 + state.players.length) % state.players.length;
+            state.turnIndex = findNextPlayer(state.players, previousIndex);
+            if (state.turnIndex === -1) {
+                clearField(state, events);
+                state.turnIndex = findNextPlayer(state.players, previousIndex);
+            }
+            startTurn(state, events);
+        }
+    }
+}
+
+function startMatch(state, action, events) {
+    if (state.gameState !== 'waiting' && state.gameState !== 'finished') return gameError('GAME_ALREADY_STARTED');
+    if (state.players.length < MIN_PLAYERS) return gameError('NOT_ENOUGH_PLAYERS', { min: MIN_PLAYERS });
+    if (state.gameState === 'finished') resetMatch(state);
+    events.push({ type: 'matchStarted' });
+    startNextRound(state, events);
+}
+
+// Seat order can only change between games, while no turn order is in effect
+function reorderPlayers(state, { playerIds }, events) {
+    if (!SEATING_STATES.includes(state.gameState)) return gameError('REORDER_BETWEEN_GAMES');
+    const players = playerIds.map(id => state.players.find(p => p.id === id));
+    if (players.length !== state.players.length || players.includes(undefined) || new Set(playerIds).size !== playerIds.length)
+        return gameError('INVALID_SEAT_ORDER');
+    state.players = players;
+    events.push({ type: 'playersReordered', playerIds: [...playerIds] });
+}
+
+// Ends the match early; standings use the points from the games finished so far
+function stopMatch(state, action, events) {
+    if (state.gameState === 'waiting' || state.gameState === 'finished') return gameError('MATCH_NOT_IN_PROGRESS');
+    if (state.gameState !== 'roundEnd') {
+        clearField(state);
+        state.players.forEach(p => {
+            p.hand = [];
+            p.status = 'playing';
+            p.rank = null;
+        });
+    }
+    Object.assign(state, { turnIndex: -1, ranks: [], exchanges: [], modifiers: createModifiers() });
+    events.push({ type: 'matchStopped' });
+    endMatch(state, events);
+}
+
+function nextRound(state, action, events) {
+    if (state.gameState !== 'roundEnd') return gameError('CANNOT_START_NEXT_ROUND');
+    startNextRound(state, events);
+}
+
+function exchangeCards(state, { playerId, cards }, events) {
+    if (state.gameState !== 'exchange') return gameError('NOT_EXCHANGING');
+    const player = state.players.find(p => p.id === playerId);
+    const exchange = state.exchanges.find(e => e.richId === playerId && !e.done);
+    if (!player || !exchange) return gameError('NOTHING_TO_GIVE');
+    if (!Array.isArray(cards) || cards.length !== exchange.count)
+        return gameError('MUST_GIVE_N_CARDS', { n: exchange.count });
+    const given = findCardsInHand(player.hand, cards);
+    if (!given) return gameError('NOT_IN_HAND');
+    const poorPlayer = state.players.find(p => p.id === exchange.poorId);
+    player.hand = player.hand.filter(h => !given.includes(h));
+    poorPlayer.hand.push(...given);
+    sortHand(poorPlayer.hand);
+    exchange.done = true;
+    events.push({ type: 'cardsReturned', playerId, name: player.name, toId: poorPlayer.id, cards: given });
+    if (state.exchanges.every(e => e.done)) beginPlay(state, events);
+}
+
+function playCards(state, { playerId, cards }, events) {
+    const { player, error } = getTurnPlayer(state, playerId);
+    if (error) return error;
+    const validation = validatePlay(cards, player.hand, state.field, state.gameSettings.rules, state.modifiers, state.lastPlay?.type);
+    if (!validation.valid) return validation.error;
+    const { play } = validation;
+    const previousField = state.field;
+    const played = findCardsInHand(player.hand, cards);
+    player.hand = player.hand.filter(h => !played.includes(h));
+    state.field = arrangePlay(played, play);
+    state.lastPlay = { playerId, cards: state.field, type: play.type };
+    player.status = 'playing';
+    state.passCount = 0;
+    events.push({ type: 'cardsPlayed', playerId, name: player.name, cards: state.field });
+    if (player.hand.length === 0) {
+        finishPlayer(state, player);
+        events.push({ type: 'playerFinished', playerId, name: player.name, rank: player.rank });
+    }
+    if (applyHouseRules(state, player, played, play, previousField, events)) {
+        clearField(state, events);
+        if (player.status === 'finished') state.turnIndex = findNextPlayer(state.players, state.turnIndex);
+    } else {
+        state.turnIndex = findNextPlayer(state.players, state.turnIndex);
+        if (state.turnIndex === -1) {
+            clearField(state, events);
+            state.turnIndex = findNextPlayer(state.players, state.players.indexOf(player));
+        }
+    }
+    if (state.players.filter(p => p.rank === null).length <= 1) {
+        endRound(state, events);
+        return;
+    }
+    startTurn(state, events);
+}
+
+function pass(state, { playerId }, events) {
+    const { player, error } = getTurnPlayer(state, playerId);
+    if (error) return error;
+    player.status = 'passed';
+    state.passCount++;
+    events.push({ type: 'passed', playerId, name: player.name });
+    const contenders = state.players.filter(p => p.status === 'playing' && p.id !== state.lastPlay?.playerId);
+    if (contenders.length === 0) {
+        events.push({ type: 'allPassed' });
+        const lastPlayerIndex = state.players.findIndex(p => p.id === state.lastPlay?.playerId);
+        const lastPlayer = state.players[lastPlayerIndex];
+        clearField(state, events);
+        state.turnIndex = (lastPlayer && lastPlayer.status !== 'finished')
+            ? lastPlayerIndex
+            : findNextPlayer(state.players, lastPlayerIndex !== -1 ? lastPlayerIndex : state.turnIndex);
+    } else {
+        state.turnIndex = findNextPlayer(state.players, state.turnIndex);
+    }
+    startTurn(state, events);
+}
+
+const ACTIONS = { addPlayer, removePlayer, reorderPlayers, startMatch, stopMatch, nextRound, exchangeCards, playCards, pass };
+
+// Returns { state, events } for an accepted action, or { state, events: [], error } with the
+// unchanged state when the action is rejected; error is a gameError { code, params }
+function applyAction(state, action) {
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, action.type))
+        return { state, events: [], error: gameError('UNKNOWN_ACTION', { type: String(action.type) }) };
+    const next = structuredClone(state);
+    const events = [];
+    const error = ACTIONS[action.type](next, action, events);
+    if (error) return { state, events: [], error };
+    return { state: next, events };
+}
+
+module.exports = {
+    SUITS,
+    RANKS,
+    RANK_VALUES,
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    DEFAULT_MAX_PLAYERS,
+    SEATING_STATES,
+    DEFAULT_RULES,
+    createGame,
+    createPlayer,
+    normalizeRules,
+    getDeckConfig,
+    createDeck,
+    sortHand,
+    getPlayRank,
+    getPlayType,
+    getFieldPlay,
+    isSingleJoker,
+    isStrengthReversed,
+    validatePlay,
+    getLegalPlays,
+    getPendingExchange,
+    applyAction,
+};
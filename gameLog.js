@@ -0,0 +1,73 @@
+// Per-room action log used to export finished games as JSON replays.
+// A log starts with the deal of each game and records every engine action with its
+// timestamp and resulting events (plays, passes, field clears, ...) until the game ends.
+// Logs live in memory only; a game restored from a snapshot mid-way is not recorded.
+
+const REPLAY_FORMAT = 'daifugo-replay';
+const REPLAY_VERSION = 1;
+const MAX_REPLAYS_PER_ROOM = 10;
+
+// Room code → { current, finished }
+const logs = new Map();
+
+function getRoomLogs(code) {
+    if (!logs.has(code)) logs.set(code, { current: null, finished: [] });
+    return logs.get(code);
+}
+
+function startGame(room, dealEvent, at) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        roomCode: room.code,
+        gameNumber: dealEvent.gameCount,
+        rules: room.gameSettings.rules,
+        startedAt: at,
+        endedAt: null,
+        players: room.players.map(p => ({ id: p.id, name: p.name, isCpu: p.isCpu })),
+        initialHands: dealEvent.hands,
+        entries: [],
+        results: null,
+    };
+}
+
+// Called with every accepted engine action
+function record(room, action, events) {
+    const roomLogs = getRoomLogs(room.code);
+    const at = Date.now();
+    const dealEvent = events.find(e => e.type === 'roundStarted');
+    if (dealEvent) roomLogs.current = startGame(room, dealEvent, at);
+    const log = roomLogs.current;
+    if (!log) return;
+
+    const loggedEvents = events.map(e => e.type === 'roundStarted' ? { type: e.type, gameCount: e.gameCount } : e);
+    log.entries.push({ at, action, events: loggedEvents });
+
+    const roundEnded = events.find(e => e.type === 'roundEnded');
+    const discarded = events.some(e => e.type === 'gameReset' || e.type === 'matchStopped');
+    if (roundEnded) {
+        log.endedAt = at;
+        log.results = roundEnded.results;
+        roomLogs.finished.push(log);
+        if (roomLogs.finished.length > MAX_REPLAYS_PER_ROOM) roomLogs.finished.shift();
+    }
+    if (roundEnded || discarded) roomLogs.current = null;
+}
+
+function listReplays(code) {
+    return (logs.get(code)?.finished || []).map(log => ({
+        gameNumber: log.gameNumber, startedAt: log.startedAt, endedAt: log.endedAt,
+    }));
+}
+
+// Game numbers restart with each match, so the latest game with that number wins
+function getReplay(code, gameNumber) {
+    const finished = logs.get(code)?.finished || [];
+    return [...finished].reverse().find(log => log.gameNumber === gameNumber) || null;
+}
+
+function deleteRoom(code) {
+    logs.delete(code);
+}
+
+module.exports = { record, listReplays, getReplay, deleteRoom };
@@ -0,0 +1,64 @@
+// A directory of JSON files, one <key>.json per record, shared by the room and profile stores.
+// Writes for the same key are serialized and coalesced, and go through a temp file + rename
+// so a crash mid-write never leaves a truncated file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+// label names a record in log messages, e.g. 'room snapshot'
+function createJsonStore(dir, label) {
+    // Latest JSON waiting to be written per key; null means the record was deleted
+    const pendingWrites = new Map();
+    const activeWrites = new Set();
+
+    function filePath(key) {
+        return path.join(dir, `${key}.json`);
+    }
+
+    async function flush(key) {
+        activeWrites.add(key);
+        while (pendingWrites.has(key)) {
+            const json = pendingWrites.get(key);
+            pendingWrites.delete(key);
+            const file = filePath(key);
+            try {
+                if (json === null) {
+                    await fs.promises.rm(file, { force: true });
+                } else {
+                    await fs.promises.mkdir(dir, { recursive: true });
+                    await fs.promises.writeFile(`${file}.tmp`, json);
+                    await fs.promises.rename(`${file}.tmp`, file);
+                }
+            } catch (err) {
+                console.error(`Failed to update ${label} ${key}:`, err.message);
+            }
+        }
+        activeWrites.delete(key);
+    }
+
+    function queueWrite(key, json) {
+        pendingWrites.set(key, json);
+        if (!activeWrites.has(key)) flush(key);
+    }
+
+    function loadAll() {
+        if (!fs.existsSync(dir)) return [];
+        const loaded = [];
+        fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+            try {
+                loaded.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+            } catch (err) {
+                console.error(`Skipping unreadable ${label} ${file}:`, err.message);
+            }
+        });
+        return loaded;
+    }
+
+    return {
+        save: (key, value) => queueWrite(key, JSON.stringify(value)),
+        delete: key => queueWrite(key, null),
+        loadAll,
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,17 @@
+// File-based storage for player profiles, one <id>.json per profile,
+// written through the shared JSON file store like room snapshots.
+
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore(process.env.PROFILE_STORE_DIR || path.join(__dirname, 'data', 'profiles'), 'profile');
+
+function saveProfile(profile) {
+    store.save(profile.id, profile);
+}
+
+function loadProfiles() {
+    return store.loadAll();
+}
+
+module.exports = { saveProfile, loadProfiles };
@@ -0,0 +1,224 @@
+// Versioned WebSocket message protocol.
+// Every message in either direction carries `v: PROTOCOL_VERSION`. Client messages are
+// checked against CLIENT_MESSAGES before they reach the game logic, and anything that
+// does not match is answered with a structured error instead of throwing.
+
+const PROTOCOL_VERSION = 1;
+
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const MAX_NAME_LENGTH = 10;
+const MAX_CHAT_LENGTH = 100;
+const MAX_PASSWORD_LENGTH = 32;
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'password'];
+const MAX_CARDS_PER_MESSAGE = 16;
+const MAX_ID_LENGTH = 64;
+const RATE_LIMIT = 20;          // messages per window
+const RATE_WINDOW_MS = 1000;
+const RATE_LIMIT_DISCONNECT = 60; // messages per window before the connection is dropped
+const CLOSE_SESSION_REPLACED = 4001; // close code for a socket whose seat was resumed on another connection
+
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    INVALID_FIELD: 'INVALID_FIELD',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// Preset quick reactions players can send with one click; clients show them in their own language
+const QUICK_REACTIONS = ['nice', 'wait', 'thanks', 'sorry', 'wow', 'gg'];
+
+const CARD_SUITS = ['s', 'h', 'd', 'c', 'joker'];
+const CARD_RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2', 'joker'];
+const CARD_ID = /^[a-z0-9JQKA]{2,8}:\d$/;
+
+// --- Field validators: each returns the sanitized value or INVALID ---
+const INVALID = Symbol('invalid');
+
+function string({ min = 0, max, pattern, transform = v => v }) {
+    return value => {
+        if (typeof value !== 'string') return INVALID;
+        const result = transform(value);
+        if (result.length < min || result.length > max) return INVALID;
+        if (pattern && !pattern.test(result)) return INVALID;
+        return result;
+    };
+}
+
+function integer({ min, max }) {
+    return value => {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) return INVALID;
+        return number;
+    };
+}
+
+function boolean() {
+    return value => typeof value === 'boolean' ? value : INVALID;
+}
+
+function oneOf(options) {
+    return value => options.includes(value) ? value : INVALID;
+}
+
+function booleanMap({ maxKeys }) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return INVALID;
+        const entries = Object.entries(value);
+        if (entries.length > maxKeys || entries.some(([, v]) => typeof v !== 'boolean')) return INVALID;
+        return Object.fromEntries(entries);
+    };
+}
+
+function card() {
+    return value => {
+        if (!value || typeof value !== 'object') return INVALID;
+        const { suit, rank, id } = value;
+        if (!CARD_SUITS.includes(suit) || !CARD_RANKS.includes(rank)) return INVALID;
+        if ((suit === 'joker') !== (rank === 'joker')) return INVALID;
+        // The id tells apart identical cards from different decks
+        if (id === undefined) return { suit, rank };
+        if (typeof id !== 'string' || !CARD_ID.test(id)) return INVALID;
+        return { suit, rank, id };
+    };
+}
+
+function arrayOf(itemValidator, { min, max }) {
+    return value => {
+        if (!Array.isArray(value) || value.length < min || value.length > max) return INVALID;
+        const items = value.map(itemValidator);
+        return items.includes(INVALID) ? INVALID : items;
+    };
+}
+
+// Wraps rather than flags the validator so shared field validators stay required elsewhere
+function optional(validator) {
+    const wrapped = value => validator(value);
+    wrapped.optional = true;
+    return wrapped;
+}
+
+const PRINTABLE = /^[^\u0000-\u001f\u007f]+$/;
+const name = string({ min: 1, max: MAX_NAME_LENGTH, transform: v => v.trim(), pattern: PRINTABLE });
+const chatText = string({ min: 1, max: MAX_CHAT_LENGTH, transform: v => v.trim(), pattern: PRINTABLE });
+const roomCode = string({ min: 4, max: 4, transform: v => v.toUpperCase(), pattern: /^[A-Z0-9]{4}$/ });
+const id = string({ min: 1, max: MAX_ID_LENGTH });
+const password = string({ min: 1, max: MAX_PASSWORD_LENGTH });
+const visibility = oneOf(ROOM_VISIBILITIES);
+const playerKey = string({ min: 32, max: 32, pattern: /^[0-9a-f]+$/ });
+const cards = arrayOf(card(), { min: 1, max: MAX_CARDS_PER_MESSAGE });
+
+// --- Client → server ---
+const CLIENT_MESSAGES = {
+    createRoom: {
+        name,
+        gameLimit: integer({ min: 0, max: 100 }),
+        maxPlayers: optional(integer({ min: 2, max: 8 })),
+        turnTimeLimit: optional(integer({ min: 0, max: 600 })),
+        rules: optional(booleanMap({ maxKeys: 16 })),
+        visibility: optional(visibility),
+        password: optional(password),
+        playerKey: optional(playerKey),
+    },
+    joinRoom: { name, roomCode, password: optional(password), playerKey: optional(playerKey) },
+    spectateRoom: { name, roomCode, password: optional(password), playerKey: optional(playerKey) },
+    resume: { roomCode, token: string({ min: 32, max: 32, pattern: /^[0-9a-f]+$/ }) },
+    startGame: {},
+    exchangeCards: { cards },
+    playCards: { cards },
+    pass: {},
+    addCpu: { level: optional(oneOf(['easy', 'hard'])) },
+    removeCpu: { playerId: id },
+    setSpectatorSeating: { allowed: boolean() },
+    setRoomVisibility: { visibility, password: optional(password) },
+    takeSeat: {},
+    kickPlayer: { playerId: id },
+    transferHost: { playerId: id },
+    reorderSeats: { playerIds: arrayOf(id, { min: 2, max: 8 }) },
+    endMatch: {},
+    chat: { text: chatText },
+    reaction: { reaction: oneOf(QUICK_REACTIONS) },
+};
+
+// --- Server → client ---
+// Field lists document the payload of each message type.
+const SERVER_MESSAGES = {
+    updateState: ['roomCode', 'gameState', 'gameCount', 'field', 'fieldPlay', 'players', 'spectatorCount', 'spectators', 'myId', 'isHost',
+        'gameSettings', 'modifiers', 'turnTimeRemaining', 'isSpectator', 'myName', 'myHand', 'myExchange',
+        'legalPlays', 'suggestedPlay'],
+    errorMessage: ['code', 'params'],
+    systemMessage: ['code', 'params'],
+    session: ['roomCode', 'token', 'profileId'],
+    sessionExpired: [],
+    matchResult: ['gameCount', 'standings'],
+    chatMessage: ['entry'],
+    chatHistory: ['entries'],
+};
+
+function protocolError(code, params = {}) {
+    return { valid: false, code, params };
+}
+
+function parseClientMessage(raw) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (e) {
+        return protocolError(ERROR_CODES.INVALID_JSON);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string')
+        return protocolError(ERROR_CODES.INVALID_MESSAGE);
+    if (data.v !== PROTOCOL_VERSION)
+        return protocolError(ERROR_CODES.UNSUPPORTED_VERSION);
+    if (!Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, data.type))
+        return protocolError(ERROR_CODES.UNKNOWN_TYPE, { type: data.type.slice(0, 32) });
+    const schema = CLIENT_MESSAGES[data.type];
+
+    const message = { type: data.type };
+    for (const [field, validator] of Object.entries(schema)) {
+        if (data[field] === undefined && validator.optional) continue;
+        const value = validator(data[field]);
+        if (value === INVALID) return protocolError(ERROR_CODES.INVALID_FIELD, { field });
+        message[field] = value;
+    }
+    return { valid: true, data: message };
+}
+
+function serializeServerMessage(message) {
+    if (!Object.prototype.hasOwnProperty.call(SERVER_MESSAGES, message.type))
+        throw new Error(`Unknown server message type: ${message.type}`);
+    return JSON.stringify({ v: PROTOCOL_VERSION, ...message });
+}
+
+// Fixed-window counter; returns how many messages over the limit this one is
+function createRateLimiter(limit = RATE_LIMIT, windowMs = RATE_WINDOW_MS) {
+    let windowStart = 0;
+    let count = 0;
+    return () => {
+        const now = Date.now();
+        if (now - windowStart >= windowMs) {
+            windowStart = now;
+            count = 0;
+        }
+        count++;
+        return count - limit;
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MAX_MESSAGE_BYTES,
+    QUICK_REACTIONS,
+    ROOM_VISIBILITIES,
+    RATE_LIMIT,
+    RATE_LIMIT_DISCONNECT,
+    CLOSE_SESSION_REPLACED,
+    ERROR_CODES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    parseClientMessage,
+    serializeServerMessage,
+    createRateLimiter,
+};
@@ -14,34 +14,107 @@ document.addEventListener('DOMContentLoaded', () => {
     // Create Room elements
     const createNicknameInput = document.getElementById('create-nickname');
     const gameLimitSelect = document.getElementById('game-limit');
+    const turnTimeLimitSelect = document.getElementById('turn-time-limit');
+    const maxPlayersSelect = document.getElementById('max-players');
     const createRoomBtn = document.getElementById('create-room-btn');
+    const ruleCheckboxes = document.querySelectorAll('#rule-options input[type="checkbox"]');
+    const roomVisibilitySelect = document.getElementById('room-visibility');
+    const createPasswordInput = document.getElementById('create-password');
 
     // Join Room elements
     const joinNicknameInput = document.getElementById('join-nickname');
     const roomCodeInput = document.getElementById('room-code-input');
     const joinRoomBtn = document.getElementById('join-room-btn');
+    const spectateBtn = document.getElementById('spectate-btn');
+    const joinPasswordInput = document.getElementById('join-password');
+
+    // Room list elements
+    const roomList = document.getElementById('room-list');
+    const roomListEmpty = document.getElementById('room-list-empty');
+    const myProfileLink = document.getElementById('my-profile-link');
+    const languageSelect = document.getElementById('language-select');
 
     // Game Board elements
     const roomCodeDisplay = document.getElementById('room-code-display');
     const copyCodeBtn = document.getElementById('copy-code-btn');
+    const spectatorCountDisplay = document.getElementById('spectator-count');
+    const replayLink = document.getElementById('replay-link');
+    const rulesDisplay = document.getElementById('rules-display');
+    const modifiersDisplay = document.getElementById('modifiers-display');
     const playersContainer = document.getElementById('players-container');
+    const spectatorList = document.getElementById('spectator-list');
     const fieldContainer = document.getElementById('field');
+    const fieldTypeLabel = document.getElementById('field-type');
+    const turnTimerDisplay = document.getElementById('turn-timer');
     const myHandContainer = document.getElementById('my-hand');
     const myNameSpan = document.getElementById('my-name');
     const myRoleSpan = document.getElementById('my-role');
     const playBtn = document.getElementById('play-btn');
     const passBtn = document.getElementById('pass-btn');
+    const suggestBtn = document.getElementById('suggest-btn');
     const startGameBtn = document.getElementById('start-game-btn');
+    const exchangeBtn = document.getElementById('exchange-btn');
+    const cpuControls = document.getElementById('cpu-controls');
+    const cpuLevelSelect = document.getElementById('cpu-level');
+    const addCpuBtn = document.getElementById('add-cpu-btn');
+    const seatingControl = document.getElementById('seating-control');
+    const allowSeatingCheckbox = document.getElementById('allow-seating');
+    const takeSeatBtn = document.getElementById('take-seat-btn');
+    const endMatchBtn = document.getElementById('end-match-btn');
+    const visibilityControl = document.getElementById('visibility-control');
+    const visibilitySetting = document.getElementById('visibility-setting');
+    const visibilityPassword = document.getElementById('visibility-password');
+    const applyVisibilityBtn = document.getElementById('apply-visibility-btn');
     const systemMessage = document.getElementById('system-message');
 
+    // Chat elements
+    const messageLog = document.getElementById('message-log');
+    const quickReactions = document.getElementById('quick-reactions');
+    const chatForm = document.getElementById('chat-form');
+    const chatInput = document.getElementById('chat-input');
+
+    // Modal elements
+    const modalOverlay = document.getElementById('modal-overlay');
+    const modalTitle = document.getElementById('modal-title');
+    const modalBody = document.getElementById('modal-body');
+    const modalCloseBtn = document.getElementById('modal-close-btn');
+
     let ws;
     let myId = '';
     let roomCode = '';
     let selectedCards = [];
+    let handCards = [];        // [element, card] pairs in hand order
+    let legalPlays = null;     // hand positions of each legal play, only on my turn
+    let suggestedPlay = null;
+    let reconnectTimer = null;
+    let turnDeadline = null;
+    let countdownInterval = null;
+    let systemMessageTimer = null;
+
+    const PROTOCOL_VERSION = 1;
+    const SESSION_KEY = 'daifugoSession';
+    const PLAYER_KEY = 'daifugoPlayerKey';
+    const PROFILE_ID_KEY = 'daifugoProfileId';
+    const RECONNECT_DELAY_MS = 2000;
+    const CLOSE_SESSION_REPLACED = 4001;
+
+    const { t } = I18n;
+    const RULE_KEYS = ['eightCut', 'revolution', 'elevenBack', 'spadeThree', 'shibari', 'jokerFinishBan'];
+    const SUIT_SYMBOLS = { s: '♠', h: '♥', d: '♦', c: '♣', joker: 'J' };
+    const SEATING_STATES = ['waiting', 'roundEnd', 'finished'];
+    const ACTIVE_GAME_STATES = ['exchange', 'playing', 'roundEnd'];
+    const QUICK_REACTIONS = ['nice', 'wait', 'thanks', 'sorry', 'wow', 'gg'];
+    const ROOM_LIST_REFRESH_MS = 5000;
+    const MAX_LOG_ENTRIES = 100;
+    const SYSTEM_MESSAGE_DISPLAY_MS = 4000;
+
+    function send(message) {
+        ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+    }
 
     function connectWebSocket(action) {
         if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(action));
+            send(action);
             return;
         }
 
@@ -49,25 +122,101 @@ document.addEventListener('DOMContentLoaded', () => {
         const host = window.location.host;
         ws = new WebSocket(`${protocol}//${host}`);
 
-        ws.onopen = () => ws.send(JSON.stringify(action));
+        ws.onopen = () => send(action);
         ws.onmessage = (event) => handleServerMessage(JSON.parse(event.data));
-        ws.onclose = () => displaySystemMessage('サーバーとの接続が切れました。', true);
+        ws.onclose = (event) => {
+            // The seat was resumed in another tab or device, which now owns it
+            if (event.code === CLOSE_SESSION_REPLACED) {
+                showLobby();
+                return;
+            }
+            // Spectators have no session to resume, so they go back to the lobby to watch again
+            const session = loadSession();
+            if (!gameBoard.classList.contains('hidden') && session?.roomCode !== roomCode) {
+                showLobby();
+                errorMessage.textContent = t('game.connectionLost');
+                return;
+            }
+            displaySystemMessage(t('game.connectionLost'), true);
+            scheduleReconnect();
+        };
         ws.onerror = (error) => console.error('WebSocket Error:', error);
     }
 
+    function loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // The random key stays in this browser and ties games to the same profile without an account
+    function getPlayerKey() {
+        let key = localStorage.getItem(PLAYER_KEY);
+        if (!key) {
+            key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(PLAYER_KEY, key);
+        }
+        return key;
+    }
+
+    function updateProfileLink() {
+        const profileId = localStorage.getItem(PROFILE_ID_KEY);
+        myProfileLink.classList.toggle('hidden', !profileId);
+        if (profileId) myProfileLink.href = `profile.html?id=${encodeURIComponent(profileId)}`;
+    }
+
+    function showLobby() {
+        gameBoard.classList.add('hidden');
+        lobby.classList.remove('hidden');
+    }
+
+    function scheduleReconnect() {
+        const session = loadSession();
+        if (!session || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connectWebSocket({ type: 'resume', roomCode: session.roomCode, token: session.token });
+        }, RECONNECT_DELAY_MS);
+    }
+
     function handleServerMessage(data) {
         errorMessage.textContent = ''; // Clear previous errors
         switch (data.type) {
             case 'updateState':
                 updateUI(data);
                 break;
-            case 'errorMessage':
-                errorMessage.textContent = data.message;
+            case 'errorMessage': {
+                const text = t(`errors.${data.code}`, data.params);
+                errorMessage.textContent = text;
+                if (!gameBoard.classList.contains('hidden')) displaySystemMessage(text, true);
                 break;
+            }
             case 'systemMessage':
-                displaySystemMessage(data.message);
+                displaySystemMessage(t(`messages.${data.code}`, data.params));
+                break;
+            case 'session':
+                localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode: data.roomCode, token: data.token }));
+                if (data.profileId) {
+                    localStorage.setItem(PROFILE_ID_KEY, data.profileId);
+                    updateProfileLink();
+                }
+                break;
+            case 'sessionExpired':
+                localStorage.removeItem(SESSION_KEY);
+                showLobby();
+                break;
+            case 'matchResult':
+                showMatchResult(data);
+                break;
+            case 'chatMessage':
+                appendLogEntry(data.entry);
+                break;
+            case 'chatHistory':
+                messageLog.innerHTML = '';
+                data.entries.forEach(appendLogEntry);
                 break;
-            // ... (other handlers like showContinueModal)
         }
     }
 
@@ -78,55 +227,206 @@ document.addEventListener('DOMContentLoaded', () => {
         myId = state.myId;
         roomCode = state.roomCode;
         roomCodeDisplay.textContent = roomCode;
+        updateRulesDisplay(state.gameSettings, state.modifiers);
         const me = state.players.find(p => p.id === myId);
+        const isSpectator = state.isSpectator;
 
-        if (!me) return;
+        if (!me && !isSpectator) return;
+        spectatorCountDisplay.textContent = state.spectatorCount > 0 ? t('game.spectatorCount', { n: state.spectatorCount }) : '';
+        const hasFinishedGame = state.gameCount > 0 && (state.gameState === 'roundEnd' || state.gameState === 'finished');
+        // Replays of a password room are only served to its players
+        const canViewReplays = !isSpectator || state.gameSettings.visibility !== 'password';
+        replayLink.classList.toggle('hidden', !hasFinishedGame || !canViewReplays);
+        replayLink.href = `replay.html?room=${roomCode}&game=${state.gameCount}`;
         
         // Host's start button logic
-        if (state.isHost && state.gameState === 'waiting') {
+        if (state.isHost && (state.gameState === 'waiting' || state.gameState === 'finished')) {
             startGameBtn.classList.remove('hidden');
             startGameBtn.disabled = state.players.length < 2;
-            startGameBtn.textContent = state.players.length >= 2 ? `ゲーム開始 (${state.players.length}人)` : '2人以上で開始可能';
+            const startLabel = t(state.gameState === 'finished' ? 'game.startNewMatch' : 'game.start');
+            startGameBtn.textContent = state.players.length >= 2
+                ? t('game.startWithCount', { label: startLabel, n: state.players.length })
+                : t('game.needPlayers', { min: 2 });
         } else {
             startGameBtn.classList.add('hidden');
         }
+        const canAddCpu = state.isHost && state.gameState === 'waiting';
+        cpuControls.classList.toggle('hidden', !canAddCpu);
+        const isFull = state.players.length >= state.gameSettings.maxPlayers;
+        addCpuBtn.disabled = isFull;
+
+        seatingControl.classList.toggle('hidden', !state.isHost);
+        allowSeatingCheckbox.checked = state.gameSettings.allowSpectatorSeating;
+        visibilityControl.classList.toggle('hidden', !state.isHost);
+        if (document.activeElement !== visibilitySetting) visibilitySetting.value = state.gameSettings.visibility;
+        const canTakeSeat = isSpectator && state.gameSettings.allowSpectatorSeating
+            && SEATING_STATES.includes(state.gameState) && !isFull;
+        takeSeatBtn.classList.toggle('hidden', !canTakeSeat);
+        endMatchBtn.classList.toggle('hidden', !(state.isHost && ACTIVE_GAME_STATES.includes(state.gameState)));
+
+        if (state.gameState === 'exchange' && state.myExchange) {
+            exchangeBtn.classList.remove('hidden');
+            exchangeBtn.textContent = t('game.giveTo', { name: state.myExchange.toName, n: state.myExchange.count });
+        } else {
+            exchangeBtn.classList.add('hidden');
+        }
 
         selectedCards = [];
-        const isMyTurn = me.isTurn ?? false;
+        const isMyTurn = me?.isTurn ?? false;
         playBtn.disabled = !isMyTurn;
         passBtn.disabled = !isMyTurn;
+        playBtn.classList.toggle('hidden', isSpectator);
+        passBtn.classList.toggle('hidden', isSpectator);
+        legalPlays = state.legalPlays ?? null;
+        suggestedPlay = state.suggestedPlay ?? null;
+        suggestBtn.classList.toggle('hidden', !isMyTurn);
+        suggestBtn.disabled = !suggestedPlay;
+        suggestBtn.textContent = t(suggestedPlay ? 'game.suggest' : 'game.noPlays');
 
         playersContainer.innerHTML = '';
-        state.players.forEach(player => {
+        playersContainer.classList.toggle('crowded', state.players.length > 4);
+        state.players.forEach((player, index) => {
             const playerDiv = document.createElement('div');
-            playerDiv.className = `player-info ${player.isTurn ? 'is-turn' : ''}`;
+            playerDiv.className = `player-info ${player.isTurn ? 'is-turn' : ''} ${player.connected ? '' : 'disconnected'}`;
             let playerLabel = player.name;
-            if (player.id === myId) playerLabel += " (あなた)";
+            if (player.id === myId) playerLabel += t('game.you');
             if (player.isHost) playerLabel += " ★";
+            if (player.isCpu) playerLabel += t('game.cpuTag', { level: t(`cpuLevels.${player.cpuLevel}`) });
             
-            playerDiv.innerHTML = `<h4>${playerLabel}</h4> <p>残り: ${player.handCount}枚</p>`;
+            let statusLabel = t('game.handCount', { n: player.handCount });
+            if (player.rank) statusLabel = t('game.finished', { rank: player.rank });
+            if (!player.connected) statusLabel += t('game.reconnecting');
+
+            playerDiv.innerHTML = `<h4>${escapeHtml(playerLabel)}</h4> <p>${t(`roles.${player.role}`)}</p> <p>${statusLabel}</p>`;
+            if (canAddCpu && player.isCpu) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-cpu-btn';
+                removeBtn.textContent = t('game.removeCpu');
+                removeBtn.addEventListener('click', () => send({ type: 'removeCpu', playerId: player.id }));
+                playerDiv.appendChild(removeBtn);
+            }
+            if (state.isHost) playerDiv.appendChild(createHostControls(state, player, index));
             playersContainer.appendChild(playerDiv);
         });
 
+        spectatorList.innerHTML = '';
+        spectatorList.classList.toggle('hidden', !state.isHost || state.spectators.length === 0);
+        if (state.isHost) {
+            state.spectators.forEach(spectator => {
+                const item = document.createElement('span');
+                item.className = 'spectator-entry';
+                item.textContent = t('game.spectatorName', { name: spectator.name });
+                item.appendChild(createHostButton(t('game.kick'), () => kick(spectator)));
+                spectatorList.appendChild(item);
+            });
+        }
+
         fieldContainer.innerHTML = '';
         state.field.forEach(card => fieldContainer.appendChild(createCardElement(card)));
+        const isSequence = state.fieldPlay?.type === 'sequence';
+        fieldContainer.classList.toggle('sequence', isSequence);
+        fieldTypeLabel.textContent = isSequence ? t('game.sequence', { n: state.fieldPlay.length }) : '';
 
         myHandContainer.innerHTML = '';
-        state.myHand.forEach(card => {
+        // Legal plays list one copy of each card, so copies from a second deck are matched by suit and rank
+        const cardKey = card => `${card.suit}${card.rank}`;
+        const playable = legalPlays ? new Set(legalPlays.flat().map(index => cardKey(state.myHand[index]))) : null;
+        handCards = (state.myHand || []).map(card => {
             const cardEl = createCardElement(card);
-            cardEl.addEventListener('click', () => toggleCardSelection(cardEl, card));
+            // On my turn, cards that are not part of any legal play are greyed out
+            if (playable && !playable.has(cardKey(card))) {
+                cardEl.classList.add('unplayable');
+            } else {
+                cardEl.addEventListener('click', () => toggleCardSelection(cardEl, card));
+            }
             myHandContainer.appendChild(cardEl);
+            return [cardEl, card];
         });
 
-        myNameSpan.textContent = me.name;
-        myRoleSpan.textContent = me.role || '平民';
+        updateTurnTimer(state);
+
+        myNameSpan.textContent = isSpectator ? state.myName : me.name;
+        myRoleSpan.textContent = isSpectator ? t('game.spectating') : t(`roles.${me.role || '平民'}`);
     }
     
+    function createHostButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'host-control-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function kick(target) {
+        if (confirm(t('game.kickConfirm', { name: target.name }))) send({ type: 'kickPlayer', playerId: target.id });
+    }
+
+    // Seat moves, host handover and kicking; seats can only move between games
+    function createHostControls(state, player, index) {
+        const controls = document.createElement('div');
+        controls.className = 'host-controls';
+        if (SEATING_STATES.includes(state.gameState)) {
+            const moveSeat = offset => {
+                const playerIds = state.players.map(p => p.id);
+                [playerIds[index], playerIds[index + offset]] = [playerIds[index + offset], playerIds[index]];
+                send({ type: 'reorderSeats', playerIds });
+            };
+            const left = createHostButton('◀', () => moveSeat(-1));
+            const right = createHostButton('▶', () => moveSeat(1));
+            left.disabled = index === 0;
+            right.disabled = index === state.players.length - 1;
+            controls.append(left, right);
+        }
+        if (player.id !== myId && !player.isCpu) {
+            controls.appendChild(createHostButton(t('game.makeHost'), () => send({ type: 'transferHost', playerId: player.id })));
+            controls.appendChild(createHostButton(t('game.kick'), () => kick(player)));
+        }
+        return controls;
+    }
+
+    // The server sends the remaining time; count down locally until the next update
+    function updateTurnTimer(state) {
+        clearInterval(countdownInterval);
+        if (state.turnTimeRemaining === null) {
+            turnDeadline = null;
+            turnTimerDisplay.classList.add('hidden');
+            return;
+        }
+        turnDeadline = Date.now() + state.turnTimeRemaining;
+        const current = state.players.find(p => p.isTurn);
+        const render = () => {
+            const seconds = Math.max(0, Math.ceil((turnDeadline - Date.now()) / 1000));
+            turnTimerDisplay.textContent = t('game.timer', { name: current ? current.name : '', seconds });
+            turnTimerDisplay.classList.toggle('urgent', seconds <= 5);
+        };
+        render();
+        turnTimerDisplay.classList.remove('hidden');
+        countdownInterval = setInterval(render, 250);
+    }
+
+    function updateRulesDisplay(settings, modifiers) {
+        const enabled = getRuleLabels(settings.rules);
+        const { decks, jokers } = settings.deck;
+        rulesDisplay.textContent = (enabled.length > 0 ? t('rules.summary', { rules: enabled.join(t('rules.separator')) }) : t('rules.none'))
+            + t('rules.table', { max: settings.maxPlayers, decks, jokers });
+
+        const active = [];
+        if (modifiers.revolution) active.push(t('modifiers.revolution'));
+        if (modifiers.elevenBack) active.push(t('modifiers.elevenBack'));
+        if (modifiers.lockedSuits) active.push(t('modifiers.shibari', { suits: modifiers.lockedSuits.map(s => SUIT_SYMBOLS[s]).join('') }));
+        modifiersDisplay.textContent = active.join(' / ');
+        modifiersDisplay.classList.toggle('hidden', active.length === 0);
+    }
+
+    function getRuleLabels(rules) {
+        return RULE_KEYS.filter(key => rules[key]).map(key => t(`rules.${key}`));
+    }
+
     // ... (createCardElement, toggleCardSelection, displaySystemMessage are unchanged)
     function createCardElement(card) {
         const el = document.createElement('div');
         el.className = `card ${card.suit}`;
-        const suitSymbol = {s: '♠', h: '♥', d: '♦', c: '♣', joker: 'J'}[card.suit];
+        const suitSymbol = SUIT_SYMBOLS[card.suit];
         el.innerHTML = `<span class="rank">${card.rank.toUpperCase()}</span><span class="suit">${suitSymbol}</span>`;
         if (card.rank === 'joker') el.innerHTML = `<span class="rank">JOKER</span>`;
         return el;
@@ -134,26 +434,151 @@ document.addEventListener('DOMContentLoaded', () => {
     function toggleCardSelection(cardEl, card) {
         if (cardEl.classList.contains('selected')) {
             cardEl.classList.remove('selected');
-            selectedCards = selectedCards.filter(c => !(c.rank === card.rank && c.suit === card.suit));
+            // Compare by object so a duplicate from a second deck stays selected
+            selectedCards = selectedCards.filter(c => c !== card);
         } else {
             cardEl.classList.add('selected');
             selectedCards.push(card);
         }
     }
-    function displaySystemMessage(msg) { /* ... */ }
+    function selectCards(indexes) {
+        handCards.forEach(([cardEl]) => cardEl.classList.remove('selected'));
+        selectedCards = indexes.map(index => {
+            const [cardEl, card] = handCards[index];
+            cardEl.classList.add('selected');
+            return card;
+        });
+    }
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+    function displaySystemMessage(msg, isError = false) {
+        systemMessage.textContent = msg;
+        systemMessage.classList.toggle('alert', isError);
+        systemMessage.classList.remove('hidden');
+        clearTimeout(systemMessageTimer);
+        systemMessageTimer = setTimeout(() => systemMessage.classList.add('hidden'), SYSTEM_MESSAGE_DISPLAY_MS);
+        appendLogEntry({ kind: 'system', text: msg, at: Date.now() });
+    }
+    // System messages and reactions arrive as codes; entries saved before that carry their text
+    function describeLogEntry(entry) {
+        if (entry.kind === 'system' && entry.code) return t(`messages.${entry.code}`, entry.params);
+        if (entry.kind === 'reaction' && entry.reaction) return t(`reactions.${entry.reaction}`);
+        return entry.text;
+    }
+    // Chat text is only ever inserted with textContent, so it cannot inject markup
+    function appendLogEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `log-${entry.kind}`;
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        item.appendChild(time);
+        if (entry.kind !== 'system') {
+            const name = document.createElement('span');
+            name.className = 'log-name';
+            name.textContent = entry.isSpectator ? t('game.spectatorName', { name: entry.name }) : entry.name;
+            item.appendChild(name);
+        }
+        const text = document.createElement('span');
+        text.className = 'log-text';
+        text.textContent = describeLogEntry(entry);
+        item.appendChild(text);
+        messageLog.appendChild(item);
+        while (messageLog.children.length > MAX_LOG_ENTRIES) messageLog.firstChild.remove();
+        messageLog.scrollTop = messageLog.scrollHeight;
+    }
+    // Public rooms are polled while the lobby is shown
+    async function refreshRoomList() {
+        if (lobby.classList.contains('hidden')) return;
+        let rooms;
+        try {
+            const response = await fetch('/api/rooms');
+            rooms = await response.json();
+        } catch (e) {
+            return;
+        }
+        roomList.innerHTML = '';
+        rooms.forEach(room => roomList.appendChild(createRoomListItem(room)));
+        roomListEmpty.classList.toggle('hidden', rooms.length > 0);
+    }
+    function createRoomListItem(room) {
+        const item = document.createElement('li');
+        const summary = document.createElement('span');
+        const rules = getRuleLabels(room.rules);
+        summary.textContent = [
+            `${room.hasPassword ? '🔒 ' : ''}${room.code}`,
+            t('lobby.host', { name: room.hostName ?? '-' }),
+            t('lobby.playerCount', { count: room.playerCount, max: room.maxPlayers }),
+            t(`gameStates.${room.gameState}`),
+            rules.length > 0 ? rules.join(t('rules.separator')) : t('lobby.noRules')
+        ].join(' | ');
+        item.appendChild(summary);
+        [[joinRoomBtn, t('lobby.join')], [spectateBtn, t('lobby.spectateShort')]].forEach(([target, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.className = 'secondary';
+            button.disabled = target === joinRoomBtn && room.playerCount >= room.maxPlayers;
+            button.addEventListener('click', () => {
+                roomCodeInput.value = room.code;
+                if (room.hasPassword && !joinPasswordInput.value) {
+                    errorMessage.textContent = t('lobby.passwordNeeded');
+                    joinPasswordInput.focus();
+                    return;
+                }
+                target.click();
+            });
+            item.appendChild(button);
+        });
+        return item;
+    }
+    // Static labels come from the page markup; the lobby is the only place the language changes
+    function applyLanguage() {
+        I18n.translatePage();
+        languageSelect.value = I18n.getLanguage();
+        errorMessage.textContent = '';
+        quickReactions.innerHTML = '';
+        QUICK_REACTIONS.forEach(id => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = t(`reactions.${id}`);
+            button.addEventListener('click', () => send({ type: 'reaction', reaction: id }));
+            quickReactions.appendChild(button);
+        });
+    }
+    function showMatchResult(result) {
+        modalTitle.textContent = t('game.resultTitle', { n: result.gameCount });
+        modalBody.innerHTML = '';
+        const list = document.createElement('ol');
+        result.standings.forEach(s => {
+            const item = document.createElement('li');
+            item.textContent = t('game.standing', { name: s.name, points: s.points, role: t(`roles.${s.role}`) });
+            list.appendChild(item);
+        });
+        modalBody.appendChild(list);
+        modalOverlay.classList.remove('hidden');
+    }
 
 
     // Event Listeners
     createRoomBtn.addEventListener('click', () => {
         const name = createNicknameInput.value.trim();
         if (!name) {
-            errorMessage.textContent = 'ニックネームを入力してください。';
+            errorMessage.textContent = t('lobby.nicknameRequired');
             return;
         }
+        const rules = {};
+        ruleCheckboxes.forEach(checkbox => { rules[checkbox.dataset.rule] = checkbox.checked; });
         connectWebSocket({
             type: 'createRoom',
             name: name,
-            gameLimit: gameLimitSelect.value
+            gameLimit: gameLimitSelect.value,
+            maxPlayers: Number(maxPlayersSelect.value),
+            turnTimeLimit: turnTimeLimitSelect.value,
+            rules: rules,
+            visibility: roomVisibilitySelect.value,
+            password: createPasswordInput.value || undefined,
+            playerKey: getPlayerKey()
         });
     });
 
@@ -161,22 +586,89 @@ document.addEventListener('DOMContentLoaded', () => {
         const name = joinNicknameInput.value.trim();
         const code = roomCodeInput.value.trim().toUpperCase();
         if (!name || !code) {
-            errorMessage.textContent = 'ニックネームと部屋コードを入力してください。';
+            errorMessage.textContent = t('lobby.nicknameAndCodeRequired');
             return;
         }
         connectWebSocket({
             type: 'joinRoom',
             name: name,
-            roomCode: code
+            roomCode: code,
+            password: joinPasswordInput.value || undefined,
+            playerKey: getPlayerKey()
         });
     });
 
-    startGameBtn.addEventListener('click', () => ws.send(JSON.stringify({ type: 'startGame' })));
+    spectateBtn.addEventListener('click', () => {
+        const name = joinNicknameInput.value.trim();
+        const code = roomCodeInput.value.trim().toUpperCase();
+        if (!name || !code) {
+            errorMessage.textContent = t('lobby.nicknameAndCodeRequired');
+            return;
+        }
+        connectWebSocket({
+            type: 'spectateRoom',
+            name: name,
+            roomCode: code,
+            password: joinPasswordInput.value || undefined,
+            playerKey: getPlayerKey()
+        });
+    });
+
+    startGameBtn.addEventListener('click', () => send({ type: 'startGame' }));
     playBtn.addEventListener('click', () => {
-        if (selectedCards.length > 0) ws.send(JSON.stringify({ type: 'playCards', cards: selectedCards }));
+        if (selectedCards.length === 0) return;
+        // Send cards weakest first so runs read naturally on the field
+        const cards = [...selectedCards].sort((a, b) => a.value - b.value);
+        send({ type: 'playCards', cards });
+    });
+    passBtn.addEventListener('click', () => {
+        if (legalPlays?.length > 0 && !confirm(t('game.passConfirm'))) return;
+        send({ type: 'pass' });
+    });
+    suggestBtn.addEventListener('click', () => { if (suggestedPlay) selectCards(suggestedPlay); });
+    allowSeatingCheckbox.addEventListener('change', () => {
+        send({ type: 'setSpectatorSeating', allowed: allowSeatingCheckbox.checked });
+    });
+    takeSeatBtn.addEventListener('click', () => send({ type: 'takeSeat' }));
+    endMatchBtn.addEventListener('click', () => {
+        if (confirm(t('game.endMatchConfirm'))) send({ type: 'endMatch' });
+    });
+    roomVisibilitySelect.addEventListener('change', () => {
+        createPasswordInput.classList.toggle('hidden', roomVisibilitySelect.value !== 'password');
+    });
+    applyVisibilityBtn.addEventListener('click', () => {
+        send({ type: 'setRoomVisibility', visibility: visibilitySetting.value, password: visibilityPassword.value || undefined });
+        visibilityPassword.value = '';
+    });
+    addCpuBtn.addEventListener('click', () => send({ type: 'addCpu', level: cpuLevelSelect.value }));
+    exchangeBtn.addEventListener('click', () => {
+        send({ type: 'exchangeCards', cards: selectedCards });
+    });
+    modalCloseBtn.addEventListener('click', () => modalOverlay.classList.add('hidden'));
+    chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = chatInput.value.trim();
+        if (!text) return;
+        send({ type: 'chat', text });
+        chatInput.value = '';
+    });
+    languageSelect.addEventListener('change', () => {
+        I18n.setLanguage(languageSelect.value);
+        applyLanguage();
+        refreshRoomList();
     });
-    passBtn.addEventListener('click', () => ws.send(JSON.stringify({ type: 'pass' })));
     copyCodeBtn.addEventListener('click', () => {
-        navigator.clipboard.writeText(roomCode).then(() => alert('部屋コードをコピーしました！'));
+        navigator.clipboard.writeText(roomCode).then(() => alert(t('game.codeCopied')));
     });
+
+    applyLanguage();
+    updateProfileLink();
+    refreshRoomList();
+    setInterval(refreshRoomList, ROOM_LIST_REFRESH_MS);
+
+    // Resume a seat held by the server after a refresh or network change
+    const savedSession = loadSession();
+    if (savedSession) {
+        connectWebSocket({ type: 'resume', roomCode: savedSession.roomCode, token: savedSession.token });
+    }
 });
\ No newline at end of file
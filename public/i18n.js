@@ -0,0 +1,611 @@
+// Message catalogs for the client.
+// The server sends errors and system messages as a code plus parameters; they are looked up
+// here under errors.<code> and messages.<code>. `{name}` placeholders are filled from the
+// parameters, and entries that need more than that are functions of (params, t).
+// Roles stay as the engine's Japanese identifiers on the wire and are translated under roles.
+
+const I18n = (() => {
+    const LANGUAGE_KEY = 'daifugoLanguage';
+    const DEFAULT_LANGUAGE = 'ja';
+
+    const CATALOGS = {
+        ja: {
+            title: 'オンライン大富豪',
+            lobby: {
+                ranking: 'ランキング',
+                myProfile: 'マイプロフィール',
+                language: '言語',
+                createHeading: '部屋を新規作成する',
+                nickname: 'ニックネーム',
+                games: '{n}ゲーム',
+                unlimited: '無制限',
+                maxPlayers: '最大{n}人',
+                maxPlayersJokers: '最大{n}人 (ジョーカー2枚)',
+                maxPlayersDecks: '最大{n}人 (トランプ2組)',
+                noTimeLimit: '持ち時間なし',
+                timeLimit: '持ち時間 {n}秒',
+                unlistedLong: '限定公開 (コードを知っている人のみ)',
+                password: 'パスワード',
+                create: '作成',
+                joinHeading: '部屋に参加する',
+                roomCodeExample: '部屋コード (例: ABCD)',
+                passwordIfNeeded: 'パスワード (必要な場合)',
+                join: '参加',
+                spectate: '観戦する',
+                roomListHeading: '公開中の部屋',
+                noRooms: '公開中の部屋はありません。',
+                host: 'ホスト: {name}',
+                playerCount: '{count}/{max}人',
+                noRules: 'ルールなし',
+                spectateShort: '観戦',
+                passwordNeeded: 'この部屋に入るにはパスワードが必要です。',
+                nicknameRequired: 'ニックネームを入力してください。',
+                nicknameAndCodeRequired: 'ニックネームと部屋コードを入力してください。',
+                backToLobby: 'ロビーへ戻る',
+            },
+            gameStates: {
+                waiting: '募集中',
+                exchange: '対戦中',
+                playing: '対戦中',
+                roundEnd: '次のゲーム待ち',
+                finished: 'マッチ終了',
+            },
+            visibility: {
+                unlisted: '限定公開',
+                public: '公開',
+                password: 'パスワード付きで公開',
+            },
+            rules: {
+                eightCut: '8切り',
+                revolution: '革命',
+                elevenBack: '11バック',
+                spadeThree: 'スペ3返し',
+                shibari: 'しばり',
+                jokerFinishBan: 'ジョーカー上がり禁止',
+                summary: 'ルール: {rules}',
+                none: 'ルール: なし',
+                separator: '・',
+                table: ' / 最大{max}人 (トランプ{decks}組・ジョーカー{jokers}枚)',
+            },
+            modifiers: {
+                revolution: '革命中',
+                elevenBack: '11バック中',
+                shibari: 'しばり ({suits})',
+            },
+            roles: {
+                '大富豪': '大富豪',
+                '富豪': '富豪',
+                '平民': '平民',
+                '貧民': '貧民',
+                '大貧民': '大貧民',
+            },
+            cpuLevels: {
+                easy: 'かんたん',
+                hard: 'つよい',
+            },
+            reactions: {
+                nice: 'ナイス!',
+                wait: '待って',
+                thanks: 'ありがとう',
+                sorry: 'ごめん',
+                wow: 'すごい!',
+                gg: 'おつかれさま',
+            },
+            game: {
+                roomCode: '部屋コード:',
+                copy: 'コピー',
+                codeCopied: '部屋コードをコピーしました！',
+                replay: 'リプレイ',
+                field: '場',
+                sequence: '階段 ({n}枚)',
+                chatPlaceholder: 'メッセージを入力',
+                send: '送信',
+                start: 'ゲーム開始',
+                startNewMatch: '新しいマッチを開始',
+                startWithCount: '{label} ({n}人)',
+                needPlayers: '{min}人以上で開始可能',
+                give: 'カードを渡す',
+                giveTo: '{name}に{n}枚渡す',
+                play: '選択したカードを出す',
+                suggest: 'おすすめ',
+                noPlays: '出せるカードがありません',
+                pass: 'パス',
+                passConfirm: '出せるカードがあります。パスしますか？',
+                takeSeat: '空席に着く',
+                endMatch: 'マッチを終了',
+                endMatchConfirm: 'マッチを終了して、ここまでの得点で順位を決めますか？',
+                cpuEasy: 'CPU (かんたん)',
+                cpuHard: 'CPU (つよい)',
+                addCpu: 'CPUを追加',
+                removeCpu: '外す',
+                allowSeating: '観戦者の着席を許可',
+                newPassword: '新しいパスワード',
+                applyVisibility: '公開設定を変更',
+                spectatorCount: '観戦者: {n}人',
+                you: ' (あなた)',
+                cpuTag: ' [CPU:{level}]',
+                handCount: '残り: {n}枚',
+                finished: '{rank}位で上がり',
+                reconnecting: ' (再接続中...)',
+                spectatorName: '{name} (観戦)',
+                spectating: '観戦中',
+                makeHost: 'ホストにする',
+                kick: 'キック',
+                kickConfirm: '{name}を部屋から退出させますか？',
+                timer: '{name} 残り{seconds}秒',
+                connectionLost: 'サーバーとの接続が切れました。',
+                resultTitle: '最終結果 ({n}ゲーム)',
+                standing: '{name} - {points}点 ({role})',
+                close: '閉じる',
+            },
+            replay: {
+                title: 'リプレイ - オンライン大富豪',
+                heading: 'リプレイ',
+                roomTitle: 'リプレイ: 部屋 {room} / 第{n}ゲーム',
+                gameOption: '第{n}ゲーム',
+                download: 'JSONをダウンロード',
+                openFile: 'リプレイファイルを開く',
+                prev: '◀ 戻る',
+                next: '進む ▶',
+                showAllHands: '全員の手札を表示',
+                deal: '配札',
+                passed: ' (パス)',
+                invalidFile: 'リプレイファイルの形式が正しくありません。',
+                readFailed: 'リプレイファイルを読み込めませんでした。',
+                notFound: 'リプレイが見つかりません。部屋が閉じられた場合はダウンロードしたファイルを開いてください。',
+                noGames: 'この部屋には終了したゲームがありません。',
+                loadFailed: 'リプレイを読み込めませんでした。',
+                events: {
+                    tributePaid: (p, t) => `${p.fromName}(${t(`roles.${p.fromRole}`)})が${p.toName}(${t(`roles.${p.toRole}`)})に${p.cards}を渡しました。`,
+                    cardsReturned: '{name}が{toName}に{cards}を返しました。',
+                    cardsPlayed: '{name}が{cards}を出しました。',
+                    passed: '{name}がパスしました。',
+                    fieldCleared: '場が流れました。',
+                    playerFinished: '{name}が{rank}位で上がりました！',
+                    revolution: '{name}が革命！',
+                    counterRevolution: '{name}が革命返し！',
+                    elevenBack: '{name}が11バック！',
+                    shibari: 'しばり！',
+                    eightCut: '{name}が8切り！',
+                    spadeThree: '{name}がスペ3返し！',
+                    playerRemoved: '{name}が退出しました。',
+                },
+            },
+            leaderboard: {
+                title: 'ランキング - オンライン大富豪',
+                sortDaifugo: '大富豪の回数',
+                sortAverageRank: '平均順位',
+                sortGames: 'ゲーム数',
+                sortEightCut: '8切りの回数',
+                name: '名前',
+                games: 'ゲーム数',
+                averageRank: '平均順位',
+                daifugo: '大富豪',
+                daihinmin: '大貧民',
+                eightCut: '8切り',
+                empty: 'まだ記録がありません。',
+                loadFailed: 'ランキングを読み込めませんでした。',
+            },
+            profile: {
+                title: 'プロフィール - オンライン大富豪',
+                heading: 'プロフィール',
+                headingWithName: '{name} のプロフィール',
+                gamesPlayed: 'ゲーム数',
+                averageRank: '平均順位',
+                daifugoCount: '大富豪になった回数',
+                daihinminCount: '大貧民になった回数',
+                eightCutCount: '8切りの回数',
+                lastPlayedAt: '最後にプレイした日時',
+                createdAt: '登録日時',
+                finishesHeading: '順位の内訳',
+                rank: '順位',
+                count: '回数',
+                finishRank: '{rank}位',
+                loadFailed: 'プロフィールを読み込めませんでした。',
+            },
+            errors: {
+                NO_CARDS_SELECTED: 'カードを選択してください。',
+                NOT_IN_HAND: '手札にないカードです。',
+                INVALID_COMBINATION: '同じランクのカードか、同じマークで3枚以上続く階段しか出せません。',
+                JOKER_FINISH_BANNED: 'ジョーカーで上がることはできません。',
+                MUST_PLAY_N_CARDS: '場と同じ{n}枚で出してください。',
+                FIELD_NOT_SEQUENCE: '場は階段ではありません。',
+                MUST_PLAY_SEQUENCE: '場と同じく階段で出してください。',
+                SHIBARI_SUIT_REQUIRED: 'しばり中です。場と同じマークのカードを出してください。',
+                MUST_BEAT_FIELD: '場より強いカードを出してください。',
+                GAME_NOT_IN_PROGRESS: 'ゲームが進行中ではありません。',
+                NOT_YOUR_TURN: 'あなたの番ではありません。',
+                ALREADY_JOINED: '既に参加しています。',
+                ROOM_FULL: 'この部屋は満員です。',
+                JOIN_BETWEEN_GAMES: 'ゲームの合間にのみ参加できます。',
+                PLAYER_NOT_FOUND: 'プレイヤーが見つかりません。',
+                GAME_ALREADY_STARTED: 'ゲームは既に始まっています。',
+                NOT_ENOUGH_PLAYERS: 'ゲームを始めるには{min}人以上必要です。',
+                REORDER_BETWEEN_GAMES: 'ゲームの合間にのみ席を入れ替えられます。',
+                INVALID_SEAT_ORDER: '席順が正しくありません。',
+                MATCH_NOT_IN_PROGRESS: 'マッチは進行中ではありません。',
+                CANNOT_START_NEXT_ROUND: '次のゲームを始められる状態ではありません。',
+                NOT_EXCHANGING: 'カード交換中ではありません。',
+                NOTHING_TO_GIVE: '渡すカードはありません。',
+                MUST_GIVE_N_CARDS: '渡すカードを{n}枚選択してください。',
+                UNKNOWN_ACTION: '不明なアクションです: {type}',
+                INVALID_JSON: 'メッセージを解析できませんでした。',
+                INVALID_MESSAGE: '不正なメッセージです。',
+                UNSUPPORTED_VERSION: 'クライアントのバージョンが古いため、ページを再読み込みしてください。',
+                UNKNOWN_TYPE: '不明なメッセージ種別です: {type}',
+                INVALID_FIELD: '不正な値です: {field}',
+                RATE_LIMITED: '操作が速すぎます。少し待ってから再度お試しください。',
+                INTERNAL_ERROR: 'サーバーでエラーが発生しました。',
+                CHAT_RATE_LIMITED: 'チャットの送信が多すぎます。少し待ってから送信してください。',
+                PASSWORD_REQUIRED: 'パスワードを入力してください。',
+                SEATING_NOT_ALLOWED: 'ホストが観戦者の着席を許可していません。',
+                SEAT_BETWEEN_GAMES: 'ゲームの合間にのみ着席できます。',
+                SPECTATOR_NOT_ALLOWED: '観戦者はこの操作を行えません。',
+                CANNOT_KICK_SELF: '自分を退出させることはできません。',
+                HOST_CANDIDATE_NOT_FOUND: 'ホストを任せられるプレイヤーが見つかりません。',
+                KICKED: 'ホストによって部屋から退出させられました。',
+                ROOM_CLOSED_BY_ADMIN: 'この部屋は管理者によって閉じられました。',
+                ALREADY_IN_ROOM: '既に部屋に参加しています。',
+                ROOM_NOT_FOUND: '部屋が見つかりません。',
+                WRONG_PASSWORD: 'パスワードが違います。',
+                TOO_MANY_PASSWORD_ATTEMPTS: 'パスワードの入力回数が多すぎます。しばらく待ってからお試しください。',
+                BANNED: 'この部屋には参加できません。',
+                ROOM_FULL_SPECTATE_ONLY: 'この部屋は満員です。観戦なら参加できます。',
+                GAME_STARTED_SPECTATE_ONLY: 'この部屋は既にゲームが始まっています。観戦なら参加できます。',
+                RESUME_FAILED: '前回のゲームに復帰できませんでした。',
+                SESSION_REPLACED: 'この席は別のタブまたは端末で再開されました。',
+                REPLAY_NOT_FOUND: 'リプレイが見つかりません。',
+                REPLAY_FORBIDDEN: 'パスワード付きの部屋のリプレイは、その部屋のプレイヤーだけが見られます。',
+                PROFILE_NOT_FOUND: 'プロフィールが見つかりません。',
+                ADMIN_API_DISABLED: '管理APIは無効です。',
+                UNAUTHORIZED: '認証に失敗しました。',
+            },
+            messages: {
+                MATCH_STARTED: 'ホストがゲームを開始しました！',
+                TRIBUTE_PAID: (p, t) => `${p.fromName}(${t(`roles.${p.fromRole}`)})が${p.toName}(${t(`roles.${p.toRole}`)})に強いカードを${p.count}枚渡しました。`,
+                CARDS_RETURNED: '{name}がカードを返しました。',
+                PLAYER_FINISHED: '{name}が{rank}位で上がりました！',
+                REVOLUTION: '{name}が革命！カードの強さが逆転します。',
+                COUNTER_REVOLUTION: '{name}が革命返し！カードの強さが元に戻ります。',
+                SHIBARI: 'しばり！場が流れるまで同じマークしか出せません。',
+                ELEVEN_BACK: '{name}が11バック！場が流れるまでカードの強さが逆転します。',
+                EIGHT_CUT: '{name}が8切り！場が流れます。',
+                SPADE_THREE: '{name}がスペ3返し！場が流れます。',
+                ALL_PASSED: '全員がパスしました。場が流れます。',
+                ROUND_ENDED: (p, t) => `第${p.gameCount}ゲーム終了: ${p.results.map(r => `${r.rank}位 ${r.name} (${t(`roles.${r.role}`)})`).join(' / ')}`,
+                PLAYER_LEFT: '{name}が退出しました。',
+                GAME_RESET: 'プレイヤーが不足したため、ゲームをリセットします。',
+                SEATS_REORDERED: 'ホストが席順を変更しました。',
+                MATCH_STOPPED: 'ホストがマッチを終了しました。',
+                PLAYER_JOINED: '{name}が参加しました。',
+                SPECTATOR_JOINED: '{name}が観戦を始めました。',
+                SPECTATOR_SEATED: '{name}が観戦から参加しました。',
+                HOST_CHANGED: 'ホストが交代し、{name}が新しいホストになりました。',
+                HOST_TRANSFERRED: '{name}が新しいホストになりました。',
+                CPU_TAKEOVER: '{name}が戻らないため、CPUが代わりにプレイします。',
+                PLAYER_DISCONNECTED: '{name}の接続が切れました。再接続を待っています...',
+                PLAYER_RESUMED: '{name}が復帰しました。',
+                TURN_TIMED_OUT: '{name}の持ち時間が切れたため、パスしました。',
+                PLAYER_KICKED: '{name}がホストによって退出させられました。',
+            },
+        },
+        en: {
+            title: 'Daifugo Online',
+            lobby: {
+                ranking: 'Leaderboard',
+                myProfile: 'My profile',
+                language: 'Language',
+                createHeading: 'Create a room',
+                nickname: 'Nickname',
+                games: '{n} games',
+                unlimited: 'Unlimited',
+                maxPlayers: 'Up to {n} players',
+                maxPlayersJokers: 'Up to {n} players (2 jokers)',
+                maxPlayersDecks: 'Up to {n} players (2 decks)',
+                noTimeLimit: 'No time limit',
+                timeLimit: '{n}s per turn',
+                unlistedLong: 'Unlisted (only people with the code)',
+                password: 'Password',
+                create: 'Create',
+                joinHeading: 'Join a room',
+                roomCodeExample: 'Room code (e.g. ABCD)',
+                passwordIfNeeded: 'Password (if required)',
+                join: 'Join',
+                spectate: 'Watch',
+                roomListHeading: 'Public rooms',
+                noRooms: 'There are no public rooms right now.',
+                host: 'Host: {name}',
+                playerCount: '{count}/{max} players',
+                noRules: 'No house rules',
+                spectateShort: 'Watch',
+                passwordNeeded: 'This room needs a password.',
+                nicknameRequired: 'Please enter a nickname.',
+                nicknameAndCodeRequired: 'Please enter a nickname and a room code.',
+                backToLobby: 'Back to the lobby',
+            },
+            gameStates: {
+                waiting: 'Open',
+                exchange: 'In game',
+                playing: 'In game',
+                roundEnd: 'Between games',
+                finished: 'Match over',
+            },
+            visibility: {
+                unlisted: 'Unlisted',
+                public: 'Public',
+                password: 'Public with password',
+            },
+            rules: {
+                eightCut: '8-cut',
+                revolution: 'Revolution',
+                elevenBack: 'Jack back',
+                spadeThree: 'Spade 3 beats joker',
+                shibari: 'Suit lock',
+                jokerFinishBan: 'No finishing on a joker',
+                summary: 'Rules: {rules}',
+                none: 'Rules: none',
+                separator: ', ',
+                table: ' / up to {max} players ({decks} deck(s), {jokers} joker(s))',
+            },
+            modifiers: {
+                revolution: 'Revolution',
+                elevenBack: 'Jack back',
+                shibari: 'Suit lock ({suits})',
+            },
+            roles: {
+                '大富豪': 'Tycoon',
+                '富豪': 'Rich',
+                '平民': 'Commoner',
+                '貧民': 'Poor',
+                '大貧民': 'Beggar',
+            },
+            cpuLevels: {
+                easy: 'Easy',
+                hard: 'Hard',
+            },
+            reactions: {
+                nice: 'Nice!',
+                wait: 'Wait',
+                thanks: 'Thanks',
+                sorry: 'Sorry',
+                wow: 'Wow!',
+                gg: 'Good game',
+            },
+            game: {
+                roomCode: 'Room code:',
+                copy: 'Copy',
+                codeCopied: 'Room code copied!',
+                replay: 'Replay',
+                field: 'Field',
+                sequence: 'Sequence ({n} cards)',
+                chatPlaceholder: 'Type a message',
+                send: 'Send',
+                start: 'Start game',
+                startNewMatch: 'Start a new match',
+                startWithCount: '{label} ({n} players)',
+                needPlayers: 'Needs {min} or more players',
+                give: 'Give cards',
+                giveTo: 'Give {n} card(s) to {name}',
+                play: 'Play selected cards',
+                suggest: 'Suggest',
+                noPlays: 'No playable cards',
+                pass: 'Pass',
+                passConfirm: 'You have cards you could play. Pass anyway?',
+                takeSeat: 'Take a free seat',
+                endMatch: 'End match',
+                endMatchConfirm: 'End the match and rank players by their points so far?',
+                cpuEasy: 'CPU (easy)',
+                cpuHard: 'CPU (hard)',
+                addCpu: 'Add CPU',
+                removeCpu: 'Remove',
+                allowSeating: 'Let spectators take seats',
+                newPassword: 'New password',
+                applyVisibility: 'Change visibility',
+                spectatorCount: 'Spectators: {n}',
+                you: ' (you)',
+                cpuTag: ' [CPU: {level}]',
+                handCount: '{n} card(s) left',
+                finished: 'Finished #{rank}',
+                reconnecting: ' (reconnecting...)',
+                spectatorName: '{name} (watching)',
+                spectating: 'Watching',
+                makeHost: 'Make host',
+                kick: 'Kick',
+                kickConfirm: 'Remove {name} from the room?',
+                timer: '{name}: {seconds}s left',
+                connectionLost: 'Lost connection to the server.',
+                resultTitle: 'Final standings ({n} games)',
+                standing: '{name} - {points} pts ({role})',
+                close: 'Close',
+            },
+            replay: {
+                title: 'Replay - Daifugo Online',
+                heading: 'Replay',
+                roomTitle: 'Replay: room {room} / game {n}',
+                gameOption: 'Game {n}',
+                download: 'Download JSON',
+                openFile: 'Open a replay file',
+                prev: '◀ Back',
+                next: 'Next ▶',
+                showAllHands: "Show everyone's hand",
+                deal: 'Deal',
+                passed: ' (passed)',
+                invalidFile: 'This is not a valid replay file.',
+                readFailed: 'Could not read the replay file.',
+                notFound: 'Replay not found. If the room has closed, open the file you downloaded.',
+                noGames: 'This room has no finished games.',
+                loadFailed: 'Could not load the replay.',
+                events: {
+                    tributePaid: (p, t) => `${p.fromName} (${t(`roles.${p.fromRole}`)}) gave ${p.cards} to ${p.toName} (${t(`roles.${p.toRole}`)}).`,
+                    cardsReturned: '{name} returned {cards} to {toName}.',
+                    cardsPlayed: '{name} played {cards}.',
+                    passed: '{name} passed.',
+                    fieldCleared: 'The field was cleared.',
+                    playerFinished: '{name} finished #{rank}!',
+                    revolution: '{name} started a revolution!',
+                    counterRevolution: '{name} reversed the revolution!',
+                    elevenBack: '{name} played an 11-back!',
+                    shibari: 'Suit lock!',
+                    eightCut: '{name} cut with an 8!',
+                    spadeThree: '{name} beat the joker with the 3 of spades!',
+                    playerRemoved: '{name} left.',
+                },
+            },
+            leaderboard: {
+                title: 'Leaderboard - Daifugo Online',
+                sortDaifugo: 'Times as Tycoon',
+                sortAverageRank: 'Average finish',
+                sortGames: 'Games played',
+                sortEightCut: '8-cuts',
+                name: 'Name',
+                games: 'Games',
+                averageRank: 'Avg. finish',
+                daifugo: 'Tycoon',
+                daihinmin: 'Beggar',
+                eightCut: '8-cuts',
+                empty: 'No games recorded yet.',
+                loadFailed: 'Could not load the leaderboard.',
+            },
+            profile: {
+                title: 'Profile - Daifugo Online',
+                heading: 'Profile',
+                headingWithName: "{name}'s profile",
+                gamesPlayed: 'Games played',
+                averageRank: 'Average finish',
+                daifugoCount: 'Times as Tycoon',
+                daihinminCount: 'Times as Beggar',
+                eightCutCount: '8-cuts',
+                lastPlayedAt: 'Last played',
+                createdAt: 'Joined',
+                finishesHeading: 'Finishes',
+                rank: 'Finish',
+                count: 'Times',
+                finishRank: '#{rank}',
+                loadFailed: 'Could not load the profile.',
+            },
+            errors: {
+                NO_CARDS_SELECTED: 'Select some cards first.',
+                NOT_IN_HAND: 'That card is not in your hand.',
+                INVALID_COMBINATION: 'You can only play cards of the same rank, or a sequence of 3+ cards in one suit.',
+                JOKER_FINISH_BANNED: 'You cannot finish on a joker.',
+                MUST_PLAY_N_CARDS: 'Play {n} card(s), the same number as the field.',
+                FIELD_NOT_SEQUENCE: 'The field is not a sequence.',
+                MUST_PLAY_SEQUENCE: 'The field is a sequence; play a sequence too.',
+                SHIBARI_SUIT_REQUIRED: 'Suits are locked. Play the same suits as the field.',
+                MUST_BEAT_FIELD: 'Play cards stronger than the field.',
+                GAME_NOT_IN_PROGRESS: 'No game is in progress.',
+                NOT_YOUR_TURN: 'It is not your turn.',
+                ALREADY_JOINED: 'You have already joined.',
+                ROOM_FULL: 'This room is full.',
+                JOIN_BETWEEN_GAMES: 'You can only join between games.',
+                PLAYER_NOT_FOUND: 'Player not found.',
+                GAME_ALREADY_STARTED: 'The game has already started.',
+                NOT_ENOUGH_PLAYERS: 'At least {min} players are needed to start.',
+                REORDER_BETWEEN_GAMES: 'Seats can only be changed between games.',
+                INVALID_SEAT_ORDER: 'Invalid seat order.',
+                MATCH_NOT_IN_PROGRESS: 'No match is in progress.',
+                CANNOT_START_NEXT_ROUND: 'The next game cannot be started now.',
+                NOT_EXCHANGING: 'Cards are not being exchanged now.',
+                NOTHING_TO_GIVE: 'You have no cards to give.',
+                MUST_GIVE_N_CARDS: 'Select {n} card(s) to give.',
+                UNKNOWN_ACTION: 'Unknown action: {type}',
+                INVALID_JSON: 'The message could not be read.',
+                INVALID_MESSAGE: 'Invalid message.',
+                UNSUPPORTED_VERSION: 'Your client is out of date. Please reload the page.',
+                UNKNOWN_TYPE: 'Unknown message type: {type}',
+                INVALID_FIELD: 'Invalid value: {field}',
+                RATE_LIMITED: 'Too many actions. Please wait a moment and try again.',
+                INTERNAL_ERROR: 'Something went wrong on the server.',
+                CHAT_RATE_LIMITED: 'You are sending messages too fast. Please wait a moment.',
+                PASSWORD_REQUIRED: 'Please enter a password.',
+                SEATING_NOT_ALLOWED: 'The host does not allow spectators to take seats.',
+                SEAT_BETWEEN_GAMES: 'You can only take a seat between games.',
+                SPECTATOR_NOT_ALLOWED: 'Spectators cannot do that.',
+                CANNOT_KICK_SELF: 'You cannot kick yourself.',
+                HOST_CANDIDATE_NOT_FOUND: 'No player found to hand the host role to.',
+                KICKED: 'You were removed from the room by the host.',
+                ROOM_CLOSED_BY_ADMIN: 'This room was closed by an administrator.',
+                ALREADY_IN_ROOM: 'You are already in a room.',
+                ROOM_NOT_FOUND: 'Room not found.',
+                WRONG_PASSWORD: 'Wrong password.',
+                TOO_MANY_PASSWORD_ATTEMPTS: 'Too many password attempts. Please wait a while and try again.',
+                BANNED: 'You cannot join this room.',
+                ROOM_FULL_SPECTATE_ONLY: 'This room is full. You can still watch.',
+                GAME_STARTED_SPECTATE_ONLY: 'A game is already under way in this room. You can still watch.',
+                RESUME_FAILED: 'Could not return to your previous game.',
+                SESSION_REPLACED: 'This seat was resumed in another tab or device.',
+                REPLAY_NOT_FOUND: 'Replay not found.',
+                REPLAY_FORBIDDEN: 'Replays of a password-protected room are only available to its players.',
+                PROFILE_NOT_FOUND: 'Profile not found.',
+                ADMIN_API_DISABLED: 'The admin API is disabled.',
+                UNAUTHORIZED: 'Authentication failed.',
+            },
+            messages: {
+                MATCH_STARTED: 'The host started the game!',
+                TRIBUTE_PAID: (p, t) => `${p.fromName} (${t(`roles.${p.fromRole}`)}) gave ${p.count} strong card(s) to ${p.toName} (${t(`roles.${p.toRole}`)}).`,
+                CARDS_RETURNED: '{name} gave cards back.',
+                PLAYER_FINISHED: '{name} finished #{rank}!',
+                REVOLUTION: '{name} started a revolution! Card strength is reversed.',
+                COUNTER_REVOLUTION: '{name} made a counter-revolution! Card strength is back to normal.',
+                SHIBARI: 'Suit lock! Only the same suits can be played until the field clears.',
+                ELEVEN_BACK: '{name} played a jack back! Card strength is reversed until the field clears.',
+                EIGHT_CUT: '{name} played an 8-cut! The field clears.',
+                SPADE_THREE: '{name} beat the joker with the 3 of spades! The field clears.',
+                ALL_PASSED: 'Everyone passed. The field clears.',
+                ROUND_ENDED: (p, t) => `Game ${p.gameCount} over: ${p.results.map(r => `#${r.rank} ${r.name} (${t(`roles.${r.role}`)})`).join(' / ')}`,
+                PLAYER_LEFT: '{name} left.',
+                GAME_RESET: 'Not enough players left, so the game has been reset.',
+                SEATS_REORDERED: 'The host changed the seating order.',
+                MATCH_STOPPED: 'The host ended the match.',
+                PLAYER_JOINED: '{name} joined.',
+                SPECTATOR_JOINED: '{name} is now watching.',
+                SPECTATOR_SEATED: '{name} took a seat.',
+                HOST_CHANGED: 'The host has changed. {name} is the new host.',
+                HOST_TRANSFERRED: '{name} is now the host.',
+                CPU_TAKEOVER: '{name} has not come back, so a CPU is playing for them.',
+                PLAYER_DISCONNECTED: '{name} lost connection. Waiting for them to reconnect...',
+                PLAYER_RESUMED: '{name} is back.',
+                TURN_TIMED_OUT: '{name} ran out of time and passed.',
+                PLAYER_KICKED: '{name} was removed by the host.',
+            },
+        },
+    };
+    const LANGUAGES = Object.keys(CATALOGS);
+
+    function getLanguage() {
+        const saved = localStorage.getItem(LANGUAGE_KEY);
+        if (LANGUAGES.includes(saved)) return saved;
+        const preferred = (navigator.language || '').slice(0, 2);
+        return LANGUAGES.includes(preferred) ? preferred : DEFAULT_LANGUAGE;
+    }
+
+    function setLanguage(language) {
+        if (LANGUAGES.includes(language)) localStorage.setItem(LANGUAGE_KEY, language);
+    }
+
+    function lookup(catalog, key) {
+        return key.split('.').reduce((entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined), catalog);
+    }
+
+    // Falls back to Japanese, then to the key itself, so a missing entry is visible but harmless
+    function t(key, params = {}) {
+        const entry = lookup(CATALOGS[getLanguage()], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+        if (typeof entry === 'function') return entry(params, t);
+        if (typeof entry !== 'string') return key;
+        return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    // Static text in the page is marked with data-i18n (text) and data-i18n-placeholder;
+    // data-i18n-params holds JSON parameters for either
+    function translatePage(root = document) {
+        document.documentElement.lang = getLanguage();
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n, JSON.parse(el.dataset.i18nParams || '{}'));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = t(el.dataset.i18nPlaceholder, JSON.parse(el.dataset.i18nParams || '{}'));
+        });
+    }
+
+    return { LANGUAGES, getLanguage, setLanguage, t, translatePage };
+})();
@@ -0,0 +1,36 @@
+// Leaderboard page: lists players with at least one finished game, sorted on the server.
+
+document.addEventListener('DOMContentLoaded', () => {
+    const sortSelect = document.getElementById('leaderboard-sort');
+    const tableBody = document.getElementById('leaderboard-body');
+    const errorMessage = document.getElementById('error-message');
+    const { t } = I18n;
+
+    function createCell(content) {
+        const cell = document.createElement('td');
+        if (content instanceof Node) cell.appendChild(content);
+        else cell.textContent = content;
+        return cell;
+    }
+
+    async function loadLeaderboard() {
+        const response = await fetch(`/api/leaderboard?sort=${encodeURIComponent(sortSelect.value)}`);
+        const entries = await response.json();
+        tableBody.innerHTML = '';
+        errorMessage.textContent = entries.length === 0 ? t('leaderboard.empty') : '';
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            const link = document.createElement('a');
+            link.href = `profile.html?id=${encodeURIComponent(entry.id)}`;
+            link.textContent = entry.name;
+            [index + 1, link, entry.gamesPlayed, entry.averageRank.toFixed(2), entry.daifugoCount, entry.daihinminCount, entry.eightCutCount]
+                .forEach(content => row.appendChild(createCell(content)));
+            tableBody.appendChild(row);
+        });
+    }
+
+    const showLoadError = () => { errorMessage.textContent = t('leaderboard.loadFailed'); };
+    sortSelect.addEventListener('change', () => loadLeaderboard().catch(showLoadError));
+    I18n.translatePage();
+    loadLeaderboard().catch(showLoadError);
+});
@@ -0,0 +1,51 @@
+// Profile page for ?id=PROFILE_ID: totals and how often the player finished in each position.
+
+document.addEventListener('DOMContentLoaded', () => {
+    const profileName = document.getElementById('profile-name');
+    const errorMessage = document.getElementById('error-message');
+    const content = document.getElementById('profile-content');
+    const statsBody = document.getElementById('profile-stats');
+    const finishesBody = document.getElementById('profile-finishes');
+    const { t } = I18n;
+
+    function appendRow(body, cells) {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    }
+
+    function formatDate(time) {
+        return time ? new Date(time).toLocaleString() : '-';
+    }
+
+    async function loadProfile() {
+        const id = new URLSearchParams(location.search).get('id');
+        const response = id ? await fetch(`/api/profiles/${encodeURIComponent(id)}`) : null;
+        if (!response || !response.ok) {
+            const { code } = response ? await response.json() : {};
+            errorMessage.textContent = t(`errors.${code || 'PROFILE_NOT_FOUND'}`);
+            return;
+        }
+        const profile = await response.json();
+        profileName.textContent = t('profile.headingWithName', { name: profile.name });
+        [
+            ['gamesPlayed', profile.gamesPlayed],
+            ['averageRank', profile.averageRank === null ? '-' : profile.averageRank.toFixed(2)],
+            ['daifugoCount', profile.daifugoCount],
+            ['daihinminCount', profile.daihinminCount],
+            ['eightCutCount', profile.eightCutCount],
+            ['lastPlayedAt', formatDate(profile.lastPlayedAt)],
+            ['createdAt', formatDate(profile.createdAt)],
+        ].forEach(([label, value]) => appendRow(statsBody, [t(`profile.${label}`), value]));
+        Object.keys(profile.finishes).sort((a, b) => a - b)
+            .forEach(rank => appendRow(finishesBody, [t('profile.finishRank', { rank }), profile.finishes[rank]]));
+        content.classList.remove('hidden');
+    }
+
+    I18n.translatePage();
+    loadProfile().catch(() => { errorMessage.textContent = t('profile.loadFailed'); });
+});
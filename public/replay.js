@@ -0,0 +1,312 @@
+// Replay viewer for finished games.
+// Loads a replay either from the server (?room=CODE&game=N) or from a downloaded JSON file,
+// rebuilds the table after every logged action and lets the user step through it.
+
+document.addEventListener('DOMContentLoaded', () => {
+    const replayTitle = document.getElementById('replay-title');
+    const replaySelect = document.getElementById('replay-select');
+    const downloadLink = document.getElementById('replay-download');
+    const fileInput = document.getElementById('replay-file');
+    const rulesDisplay = document.getElementById('rules-display');
+    const errorMessage = document.getElementById('error-message');
+    const content = document.getElementById('replay-content');
+    const playersContainer = document.getElementById('replay-players');
+    const fieldContainer = document.getElementById('field');
+    const modifiersDisplay = document.getElementById('replay-modifiers');
+    const stepDescription = document.getElementById('replay-step-description');
+    const stepLabel = document.getElementById('replay-step-label');
+    const firstBtn = document.getElementById('replay-first-btn');
+    const prevBtn = document.getElementById('replay-prev-btn');
+    const nextBtn = document.getElementById('replay-next-btn');
+    const lastBtn = document.getElementById('replay-last-btn');
+    const slider = document.getElementById('replay-slider');
+    const showAllHandsCheckbox = document.getElementById('show-all-hands');
+
+    const { t } = I18n;
+    const REPLAY_FORMAT = 'daifugo-replay';
+    const SESSION_KEY = 'daifugoSession';
+    const RULE_KEYS = ['eightCut', 'revolution', 'elevenBack', 'spadeThree', 'shibari', 'jokerFinishBan'];
+    const SUIT_SYMBOLS = { s: '♠', h: '♥', d: '♦', c: '♣', joker: 'J' };
+    const RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
+
+    let replay = null;
+    let steps = [];
+    let stepIndex = 0;
+
+    function formatCards(cards) {
+        return cards.map(c => c.rank === 'joker' ? 'JOKER' : `${SUIT_SYMBOLS[c.suit]}${c.rank}`).join(' ');
+    }
+
+    function sortHand(hand) {
+        hand.sort((a, b) => a.value - b.value || a.suit.localeCompare(b.suit));
+    }
+
+    function moveCards(table, fromId, toId, cards) {
+        const from = table.hands[fromId];
+        cards.forEach(card => {
+            const index = from.findIndex(h => card.id ? h.id === card.id : h.suit === card.suit && h.rank === card.rank);
+            if (index !== -1) from.splice(index, 1);
+        });
+        if (toId) {
+            table.hands[toId].push(...cards);
+            sortHand(table.hands[toId]);
+        }
+    }
+
+    // Applies one logged event to the table and returns its description, if any
+    function applyEvent(table, event) {
+        const name = id => replay.players.find(p => p.id === id)?.name ?? '?';
+        switch (event.type) {
+            case 'tributePaid':
+                moveCards(table, event.fromId, event.toId, event.cards);
+                return t('replay.events.tributePaid', { ...event, cards: formatCards(event.cards) });
+            case 'cardsReturned':
+                moveCards(table, event.playerId, event.toId, event.cards);
+                return t('replay.events.cardsReturned', { name: event.name, toName: name(event.toId), cards: formatCards(event.cards) });
+            case 'turnStarted':
+                table.turnId = event.playerId;
+                return null;
+            case 'cardsPlayed':
+                moveCards(table, event.playerId, null, event.cards);
+                table.field = event.cards;
+                table.passed = [];
+                return t('replay.events.cardsPlayed', { name: event.name, cards: formatCards(event.cards) });
+            case 'passed':
+                table.passed = [...table.passed, event.playerId];
+                return t('replay.events.passed', event);
+            case 'fieldCleared':
+                table.field = [];
+                table.passed = [];
+                table.modifiers = { ...table.modifiers, elevenBack: false, lockedSuits: null };
+                return t('replay.events.fieldCleared');
+            case 'playerFinished':
+                table.ranks = { ...table.ranks, [event.playerId]: event.rank };
+                return t('replay.events.playerFinished', event);
+            case 'revolution':
+                table.modifiers = { ...table.modifiers, revolution: event.active };
+                return t(event.active ? 'replay.events.revolution' : 'replay.events.counterRevolution', event);
+            case 'elevenBack':
+                table.modifiers = { ...table.modifiers, elevenBack: true };
+                return t('replay.events.elevenBack', event);
+            case 'shibari':
+                table.modifiers = { ...table.modifiers, lockedSuits: event.suits };
+                return t('replay.events.shibari');
+            case 'eightCut':
+                return t('replay.events.eightCut', event);
+            case 'spadeThree':
+                return t('replay.events.spadeThree', event);
+            case 'playerRemoved':
+                table.removed = [...table.removed, event.playerId];
+                return t('replay.events.playerRemoved', event);
+            case 'roundEnded':
+                table.turnId = null;
+                table.results = event.results;
+                return t('messages.ROUND_ENDED', event);
+            default:
+                return null;
+        }
+    }
+
+    // Precomputes the table after each entry so stepping backwards is just an index change
+    function buildSteps() {
+        let table = {
+            hands: JSON.parse(JSON.stringify(replay.initialHands)),
+            field: [], passed: [], ranks: {}, removed: [], turnId: null, results: null,
+            modifiers: { revolution: false, elevenBack: false, lockedSuits: null },
+        };
+        const result = [{ table, description: t('replay.deal') }];
+        replay.entries.forEach(entry => {
+            table = { ...table, hands: JSON.parse(JSON.stringify(table.hands)) };
+            const descriptions = entry.events.map(event => applyEvent(table, event)).filter(Boolean);
+            result.push({ table, at: entry.at, description: descriptions.join(' ') });
+        });
+        return result;
+    }
+
+    function isKnownCard(card) {
+        if (!card || typeof card !== 'object') return false;
+        if (card.suit === 'joker' || card.rank === 'joker') return card.suit === 'joker' && card.rank === 'joker';
+        return Object.hasOwn(SUIT_SYMBOLS, card.suit) && RANKS.includes(card.rank);
+    }
+
+    // Replays are shared as files, so every card in one is checked before anything is drawn from it
+    function hasOnlyKnownCards(data) {
+        const isCardList = cards => Array.isArray(cards) && cards.every(isKnownCard);
+        if (!data.initialHands || typeof data.initialHands !== 'object' || !Object.values(data.initialHands).every(isCardList)) return false;
+        return data.entries.every(entry => Array.isArray(entry?.events) && entry.events.every(event =>
+            (event?.cards === undefined || isCardList(event.cards)) &&
+            (event?.suits === undefined || (Array.isArray(event.suits) && event.suits.every(suit => suit !== 'joker' && Object.hasOwn(SUIT_SYMBOLS, suit))))));
+    }
+
+    function createSpan(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+
+    function createCardElement(card) {
+        const el = document.createElement('div');
+        el.className = `card ${card.suit}`;
+        if (card.rank === 'joker') {
+            el.appendChild(createSpan('rank', 'JOKER'));
+        } else {
+            el.appendChild(createSpan('rank', card.rank.toUpperCase()));
+            el.appendChild(createSpan('suit', SUIT_SYMBOLS[card.suit]));
+        }
+        return el;
+    }
+
+    function render() {
+        const { table, description, at } = steps[stepIndex];
+        const showAllHands = showAllHandsCheckbox.checked;
+
+        playersContainer.innerHTML = '';
+        replay.players.forEach(player => {
+            const hand = table.hands[player.id] || [];
+            const div = document.createElement('div');
+            div.className = 'replay-player player-info';
+            div.classList.toggle('is-turn', table.turnId === player.id);
+            div.classList.toggle('disconnected', table.removed.includes(player.id));
+            let status = t('game.handCount', { n: hand.length });
+            if (table.ranks[player.id]) status = t('game.finished', { rank: table.ranks[player.id] });
+            if (table.passed.includes(player.id)) status += t('replay.passed');
+            const role = table.results?.find(r => r.playerId === player.id)?.role;
+            const heading = document.createElement('h4');
+            heading.textContent = role ? `${player.name} (${t(`roles.${role}`)})` : player.name;
+            const statusLine = document.createElement('p');
+            statusLine.textContent = status;
+            div.append(heading, statusLine);
+            if (showAllHands) {
+                const handDiv = document.createElement('div');
+                handDiv.className = 'replay-hand';
+                hand.forEach(card => handDiv.appendChild(createCardElement(card)));
+                div.appendChild(handDiv);
+            }
+            playersContainer.appendChild(div);
+        });
+
+        fieldContainer.innerHTML = '';
+        table.field.forEach(card => fieldContainer.appendChild(createCardElement(card)));
+        const active = [];
+        if (table.modifiers.revolution) active.push(t('modifiers.revolution'));
+        if (table.modifiers.elevenBack) active.push(t('modifiers.elevenBack'));
+        if (table.modifiers.lockedSuits) active.push(t('modifiers.shibari', { suits: table.modifiers.lockedSuits.map(s => SUIT_SYMBOLS[s]).join('') }));
+        modifiersDisplay.textContent = active.join(' / ');
+
+        const time = at ? ` [${new Date(at).toLocaleTimeString()}]` : '';
+        stepDescription.textContent = `${description}${time}`;
+        stepLabel.textContent = `${stepIndex} / ${steps.length - 1}`;
+        slider.value = stepIndex;
+        firstBtn.disabled = prevBtn.disabled = stepIndex === 0;
+        lastBtn.disabled = nextBtn.disabled = stepIndex === steps.length - 1;
+    }
+
+    function goTo(index) {
+        stepIndex = Math.max(0, Math.min(steps.length - 1, index));
+        render();
+    }
+
+    function loadReplay(data) {
+        if (!data || data.format !== REPLAY_FORMAT || !Array.isArray(data.entries) || !Array.isArray(data.players) || !hasOnlyKnownCards(data)) {
+            showError(t('replay.invalidFile'));
+            return;
+        }
+        replay = data;
+        steps = buildSteps();
+        errorMessage.textContent = '';
+        replayTitle.textContent = t('replay.roomTitle', { room: replay.roomCode, n: replay.gameNumber });
+        const enabled = RULE_KEYS.filter(key => replay.rules?.[key]).map(key => t(`rules.${key}`));
+        rulesDisplay.textContent = enabled.length > 0 ? t('rules.summary', { rules: enabled.join(t('rules.separator')) }) : t('rules.none');
+        slider.max = steps.length - 1;
+        content.classList.remove('hidden');
+        goTo(0);
+    }
+
+    function showError(message) {
+        errorMessage.textContent = message;
+    }
+
+    function loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Replays of a password room are only served to its players, who prove it with their session token
+    function getTokenQuery(room) {
+        const session = loadSession();
+        return session?.roomCode === room ? `?token=${encodeURIComponent(session.token)}` : '';
+    }
+
+    async function fetchReplay(room, gameNumber) {
+        const url = `/api/rooms/${encodeURIComponent(room)}/replays/${gameNumber}${getTokenQuery(room)}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            showError(response.status === 403 ? t('errors.REPLAY_FORBIDDEN') : t('replay.notFound'));
+            return;
+        }
+        downloadLink.href = url;
+        downloadLink.classList.remove('hidden');
+        loadReplay(await response.json());
+    }
+
+    async function loadFromQuery() {
+        const params = new URLSearchParams(location.search);
+        const room = params.get('room');
+        if (!room) return;
+        const response = await fetch(`/api/rooms/${encodeURIComponent(room)}/replays${getTokenQuery(room)}`);
+        if (response.status === 403) {
+            showError(t('errors.REPLAY_FORBIDDEN'));
+            return;
+        }
+        const replays = response.ok ? await response.json() : [];
+        if (replays.length === 0) {
+            showError(t('replay.noGames'));
+            return;
+        }
+        replaySelect.innerHTML = '';
+        replays.forEach(r => {
+            const option = document.createElement('option');
+            option.value = r.gameNumber;
+            option.textContent = t('replay.gameOption', { n: r.gameNumber });
+            replaySelect.appendChild(option);
+        });
+        replaySelect.classList.remove('hidden');
+        replaySelect.onchange = () => fetchReplay(room, replaySelect.value);
+        const requested = Number(params.get('game'));
+        replaySelect.value = replays.some(r => r.gameNumber === requested) ? requested : replays[replays.length - 1].gameNumber;
+        fetchReplay(room, replaySelect.value);
+    }
+
+    // Event Listeners
+    firstBtn.addEventListener('click', () => goTo(0));
+    prevBtn.addEventListener('click', () => goTo(stepIndex - 1));
+    nextBtn.addEventListener('click', () => goTo(stepIndex + 1));
+    lastBtn.addEventListener('click', () => goTo(steps.length - 1));
+    slider.addEventListener('input', () => goTo(Number(slider.value)));
+    showAllHandsCheckbox.addEventListener('change', () => { if (replay) render(); });
+    document.addEventListener('keydown', (e) => {
+        if (!replay) return;
+        if (e.key === 'ArrowLeft') goTo(stepIndex - 1);
+        if (e.key === 'ArrowRight') goTo(stepIndex + 1);
+    });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            downloadLink.classList.add('hidden');
+            replaySelect.classList.add('hidden');
+            try {
+                loadReplay(JSON.parse(text));
+            } catch (e) {
+                showError(t('replay.readFailed'));
+            }
+        });
+    });
+
+    I18n.translatePage();
+    loadFromQuery().catch(() => showError(t('replay.loadFailed')));
+});
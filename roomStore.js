@@ -0,0 +1,23 @@
+// File-based snapshots of room state so running games survive a server restart.
+// Each room is stored as <code>.json through the shared JSON file store.
+
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore(process.env.ROOM_STORE_DIR || path.join(__dirname, 'data', 'rooms'), 'room snapshot');
+
+function saveRoom(room) {
+    room.updatedAt = Date.now();
+    // Spectators are tied to live connections and are not restored
+    store.save(room.code, { ...room, spectators: [] });
+}
+
+function deleteRoom(code) {
+    store.delete(code);
+}
+
+function loadRooms() {
+    return store.loadAll();
+}
+
+module.exports = { saveRoom, deleteRoom, loadRooms };
@@ -11,37 +11,227 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const roomStore = require('./roomStore');
+const protocol = require('./protocol');
+const engine = require('./engine');
+const cpu = require('./cpu');
+const gameLog = require('./gameLog');
+const stats = require('./stats');
+const profileStore = require('./profileStore');
 
 const PORT = process.env.PORT || 3000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 
 const app = express();
 app.use(express.static(path.join(__dirname, 'public')));
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: protocol.MAX_MESSAGE_BYTES });
 
-const SUITS = ['s', 'h', 'd', 'c'];
-const RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
-const RANK_VALUES = {
-    '3': 1, '4': 2, '5': 3, '6': 4, '7': 5, '8': 6, '9': 7, '10': 8, 
-    'J': 9, 'Q': 10, 'K': 11, 'A': 12, '2': 13, 'joker': 15
-};
+// Rooms shown in the lobby browser; unlisted rooms are only reachable by code
+app.get('/api/rooms', (req, res) => {
+    const listed = [...rooms.values()].filter(room => LISTED_VISIBILITIES.includes(room.gameSettings.visibility));
+    res.set('Cache-Control', 'no-store');
+    res.json(listed.map(getRoomListing));
+});
+
+// Replays show every hand, so those of a password room are only given to its players (?token=<session token>)
+function canViewReplays(code, token) {
+    const room = rooms.get(code);
+    if (room?.gameSettings.visibility !== 'password') return true;
+    return typeof token === 'string' && token !== '' && room.players.some(p => p.token === token);
+}
+
+app.get('/api/rooms/:code/replays', (req, res) => {
+    const code = req.params.code.toUpperCase();
+    if (!canViewReplays(code, req.query.token)) {
+        res.status(403).json({ code: 'REPLAY_FORBIDDEN' });
+        return;
+    }
+    res.json(gameLog.listReplays(code));
+});
+
+// Downloads a finished game as a JSON replay
+app.get('/api/rooms/:code/replays/:gameNumber', (req, res) => {
+    const code = req.params.code.toUpperCase();
+    if (!canViewReplays(code, req.query.token)) {
+        res.status(403).json({ code: 'REPLAY_FORBIDDEN' });
+        return;
+    }
+    const replay = gameLog.getReplay(code, Number(req.params.gameNumber));
+    if (!replay) {
+        res.status(404).json({ code: 'REPLAY_NOT_FOUND' });
+        return;
+    }
+    res.attachment(`daifugo-${replay.roomCode}-game${replay.gameNumber}.json`);
+    res.json(replay);
+});
+
+app.get('/api/leaderboard', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(stats.getLeaderboard(profiles, req.query.sort));
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = profiles.get(req.params.id);
+    if (!profile) {
+        res.status(404).json({ code: 'PROFILE_NOT_FOUND' });
+        return;
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(stats.getPublicProfile(profile));
+});
+
+// --- Admin API ---
+// Operator endpoints, disabled unless ADMIN_TOKEN is set. Requests must send
+// "Authorization: Bearer <ADMIN_TOKEN>".
+const admin = express.Router();
+
+admin.use((req, res, next) => {
+    if (!ADMIN_TOKEN) {
+        res.status(404).json({ code: 'ADMIN_API_DISABLED' });
+        return;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    const given = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!crypto.timingSafeEqual(digest(given), digest(ADMIN_TOKEN))) {
+        res.status(401).json({ code: 'UNAUTHORIZED' });
+        return;
+    }
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+admin.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+admin.get('/metrics', (req, res) => {
+    res.json(getMetrics());
+});
+
+admin.get('/rooms', (req, res) => {
+    res.json([...rooms.values()].map(room => ({
+        ...getRoomListing(room),
+        visibility: room.gameSettings.visibility,
+        connectedClients: countClients(room),
+        updatedAt: room.updatedAt,
+    })));
+});
+
+admin.get('/rooms/:code', (req, res) => {
+    const room = rooms.get(req.params.code.toUpperCase());
+    if (!room) {
+        res.status(404).json({ code: 'ROOM_NOT_FOUND' });
+        return;
+    }
+    res.json(getRoomSnapshot(room));
+});
+
+admin.delete('/rooms/:code', (req, res) => {
+    const room = rooms.get(req.params.code.toUpperCase());
+    if (!room) {
+        res.status(404).json({ code: 'ROOM_NOT_FOUND' });
+        return;
+    }
+    shutDownRoom(room, 'ROOM_CLOSED_BY_ADMIN');
+    res.status(204).end();
+});
+
+app.use('/api/admin', admin);
+
+const ROUND_INTERVAL_MS = 5000;
+const RECONNECT_GRACE_MS = 60000;
+const CPU_DELAY_MS = 1200;
+const TURN_TIME_LIMITS = [0, 15, 30, 60]; // seconds, 0 = no limit
+const ROOM_TTL_MS = 30 * 60 * 1000;
+const STALE_SWEEP_INTERVAL_MS = 60 * 1000;
+const LISTED_VISIBILITIES = ['public', 'password'];
+const ACTIVE_GAME_STATES = ['exchange', 'playing', 'roundEnd'];
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_RATE_LIMIT = 5;          // chat messages per window
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+const PASSWORD_FAILURE_LIMIT = 5;     // wrong passwords per window, room and remote address
+const PASSWORD_FAILURE_WINDOW_MS = 60 * 1000;
 
 let rooms = new Map();
+// Player profiles by profile id
+const profiles = new Map();
+// Seats held for disconnected players, keyed by player id
+const disconnectTimers = new Map();
+// Pending CPU actions, keyed by room code
+const cpuTimers = new Map();
+// Running turn time limits, keyed by room code
+const turnTimers = new Map();
+// Scheduled starts of the next round, keyed by room code
+const roundTimers = new Map();
+// Times of recent wrong passwords, keyed by room code and then remote address
+const passwordFailures = new Map();
 
-function createNewGame() {
+// System messages shown for engine events as [code, params]; events without an entry are not announced
+const EVENT_MESSAGES = {
+    matchStarted: () => ['MATCH_STARTED'],
+    tributePaid: e => ['TRIBUTE_PAID', { fromName: e.fromName, fromRole: e.fromRole, toName: e.toName, toRole: e.toRole, count: e.count }],
+    cardsReturned: e => ['CARDS_RETURNED', { name: e.name }],
+    playerFinished: e => ['PLAYER_FINISHED', { name: e.name, rank: e.rank }],
+    revolution: e => [e.active ? 'REVOLUTION' : 'COUNTER_REVOLUTION', { name: e.name }],
+    shibari: e => ['SHIBARI', { suits: e.suits }],
+    elevenBack: e => ['ELEVEN_BACK', { name: e.name }],
+    eightCut: e => ['EIGHT_CUT', { name: e.name }],
+    spadeThree: e => ['SPADE_THREE', { name: e.name }],
+    allPassed: () => ['ALL_PASSED'],
+    roundEnded: e => ['ROUND_ENDED', { gameCount: e.gameCount, results: e.results.map(({ rank, name, role }) => ({ rank, name, role })) }],
+    playerRemoved: e => ['PLAYER_LEFT', { name: e.name }],
+    gameReset: () => ['GAME_RESET'],
+    playersReordered: () => ['SEATS_REORDERED'],
+    matchStopped: () => ['MATCH_STOPPED'],
+};
+// Events after which the turn clock has to be restarted or stopped
+const TURN_TIMER_EVENTS = ['turnStarted', 'roundEnded', 'gameReset', 'matchStopped'];
+
+function createNewGame(settings) {
+    const game = engine.createGame({ ...settings, seed: crypto.randomBytes(4).readUInt32LE() });
+    return {
+        ...game,
+        spectators: [],
+        turnDeadline: null,
+        chatLog: [],
+        passwordHash: null,
+        bannedProfileIds: [],
+        gameSettings: {
+            ...game.gameSettings, hostId: null, turnTimeLimit: 0, allowSpectatorSeating: false, visibility: 'unlisted'
+        },
+    };
+}
+
+function createPlayer(id, name, profileId = null) {
     return {
-        players: [],
-        gameState: 'waiting',
-        turnIndex: -1,
-        field: [],
-        lastPlay: null,
-        passCount: 0,
-        gameCount: 0,
-        gameSettings: { limit: 0, hostId: null },
-        ranks: [],
+        ...engine.createPlayer(id, name),
+        token: crypto.randomBytes(16).toString('hex'), connected: true, isCpu: false, cpuLevel: null, profileId
     };
 }
 
+// Looks up or creates the profile for a player key and keeps its name current
+function useProfile(playerKey, name) {
+    if (!playerKey) return null;
+    const id = stats.getProfileId(playerKey);
+    const profile = profiles.get(id) || stats.createProfile(id, name);
+    profile.name = name;
+    profiles.set(id, profile);
+    profileStore.saveProfile(profile);
+    return id;
+}
+
+function createCpuPlayer(room, level) {
+    let number = 1;
+    while (room.players.some(p => p.name === `CPU${number}`)) number++;
+    const player = createPlayer(`cpu_${Date.now()}_${Math.random()}`, `CPU${number}`);
+    player.isCpu = true;
+    player.cpuLevel = level;
+    return player;
+}
+
 function generateRoomCode() {
     let code;
     do {
@@ -50,26 +240,83 @@ function generateRoomCode() {
     return code;
 }
 
-function createDeck() {
-    const deck = [];
-    SUITS.forEach(suit => RANKS.forEach(rank => deck.push({ suit, rank, value: RANK_VALUES[rank] })));
-    deck.push({ suit: 'joker', rank: 'joker', value: RANK_VALUES['joker'] });
-    return deck;
+// scrypt runs on the libuv thread pool, so hashing does not hold up other rooms
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${(await scrypt(password, salt, 32)).toString('hex')}`;
 }
 
-function shuffleAndDeal(players) {
-    const deck = createDeck();
-    for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [deck[i], deck[j]] = [deck[j], deck[i]];
+async function checkPassword(passwordHash, password) {
+    if (!password || !passwordHash) return false;
+    const [salt, hash] = passwordHash.split(':');
+    return crypto.timingSafeEqual(await scrypt(password, salt, 32), Buffer.from(hash, 'hex'));
+}
+
+// Failures are kept per room and address rather than per connection, so reconnecting does not reset them
+function getPasswordFailures(room, address) {
+    if (!passwordFailures.has(room.code)) passwordFailures.set(room.code, new Map());
+    const byAddress = passwordFailures.get(room.code);
+    if (!byAddress.has(address)) byAddress.set(address, []);
+    // Pruned in place so a check in progress can still take its own attempt back out
+    const recent = byAddress.get(address);
+    const since = Date.now() - PASSWORD_FAILURE_WINDOW_MS;
+    while (recent.length > 0 && recent[0] <= since) recent.shift();
+    return recent;
+}
+
+// A connection gets one password check at a time, and an address none after too many wrong guesses.
+// The attempt counts as a failure while it is checked so parallel connections cannot get around the limit.
+async function verifyPassword(ws, room, password) {
+    if (room.gameSettings.visibility !== 'password') return null;
+    const failures = getPasswordFailures(room, ws.remoteAddress);
+    if (ws.checkingPassword || failures.length >= PASSWORD_FAILURE_LIMIT) return { code: 'TOO_MANY_PASSWORD_ATTEMPTS' };
+    const attempt = Date.now();
+    failures.push(attempt);
+    ws.checkingPassword = true;
+    try {
+        if (!(await checkPassword(room.passwordHash, password))) return { code: 'WRONG_PASSWORD' };
+    } finally {
+        ws.checkingPassword = false;
     }
-    players.forEach(p => p.hand = []);
-    deck.forEach((card, index) => players[index % players.length].hand.push(card));
-    players.forEach(p => sortHand(p.hand));
+    failures.splice(failures.indexOf(attempt), 1);
+    return null;
+}
+
+// Sets who can find and enter the room; keeps the current password if none is given
+async function setVisibility(room, visibility, password) {
+    if (visibility === 'password' && !password && !room.passwordHash) return { code: 'PASSWORD_REQUIRED' };
+    const passwordHash = visibility === 'password' && password ? await hashPassword(password) : room.passwordHash;
+    room.gameSettings.visibility = visibility;
+    if (room.passwordHash !== passwordHash) passwordFailures.delete(room.code);
+    room.passwordHash = visibility === 'password' ? passwordHash : null;
+    return null;
+}
+
+function getRoomListing(room) {
+    const host = room.players.find(p => p.id === room.gameSettings.hostId);
+    return {
+        code: room.code,
+        hostName: host?.name ?? null,
+        playerCount: room.players.length,
+        maxPlayers: room.gameSettings.maxPlayers,
+        spectatorCount: room.spectators.length,
+        gameState: room.gameState,
+        gameCount: room.gameCount,
+        gameLimit: room.gameSettings.limit,
+        rules: room.gameSettings.rules,
+        hasPassword: room.gameSettings.visibility === 'password',
+    };
+}
+
+function sendMessage(ws, message) {
+    ws.send(protocol.serializeServerMessage(message));
 }
 
-function sortHand(hand) {
-    hand.sort((a, b) => a.value - b.value || a.suit.localeCompare(b.suit));
+// Errors go out as a code and parameters; the client picks the wording for its language
+function sendError(ws, code, params = {}) {
+    sendMessage(ws, { type: 'errorMessage', code, params });
 }
 
 function broadcastToRoom(roomCode, messageGenerator) {
@@ -78,221 +325,598 @@ function broadcastToRoom(roomCode, messageGenerator) {
 
     wss.clients.forEach(client => {
         if (client.readyState === WebSocket.OPEN && client.roomCode === roomCode) {
-            const message = messageGenerator(client.id);
-            client.send(JSON.stringify(message));
+            sendMessage(client, messageGenerator(client.id));
+        }
+    });
+}
+
+// Keeps the last few chat and system messages so late joiners see recent context
+function recordChat(room, entry) {
+    room.chatLog.push(entry);
+    if (room.chatLog.length > CHAT_HISTORY_LIMIT) room.chatLog.splice(0, room.chatLog.length - CHAT_HISTORY_LIMIT);
+}
+
+function announce(room, code, params = {}) {
+    recordChat(room, { kind: 'system', code, params, at: Date.now() });
+    broadcastToRoom(room.code, () => ({ type: 'systemMessage', code, params }));
+}
+
+function sendChatHistory(ws, room) {
+    sendMessage(ws, { type: 'chatHistory', entries: room.chatLog });
+}
+
+function broadcastState(room) {
+    broadcastToRoom(room.code, (id) => getGameStateForPlayer(room, id));
+    scheduleCpuAction(room);
+    roomStore.saveRoom(room);
+}
+
+// Runs an action through the engine, applies the result to the room and tells everyone.
+// Returns the engine's error if the action was rejected.
+function dispatch(room, action) {
+    const { state, events, error } = engine.applyAction(room, action);
+    if (error) return error;
+    Object.assign(room, state);
+    gameLog.record(room, action, events);
+    stats.recordEvents(profiles, room, events).forEach(profileStore.saveProfile);
+    events.forEach(event => {
+        const describe = EVENT_MESSAGES[event.type];
+        if (describe) announce(room, ...describe(event));
+    });
+    if (events.some(e => TURN_TIMER_EVENTS.includes(e.type))) resetTurnTimer(room);
+    broadcastState(room);
+    events.forEach(event => {
+        if (event.type === 'matchEnded') {
+            broadcastToRoom(room.code, () => ({ type: 'matchResult', gameCount: event.gameCount, standings: event.standings }));
         }
     });
+    if (room.gameState === 'roundEnd' && events.some(e => e.type === 'roundEnded')) scheduleNextRound(room);
+    return null;
+}
+
+// reason completes the log line, e.g. 'it is empty'
+function closeRoom(room, reason) {
+    rooms.delete(room.code);
+    roomStore.deleteRoom(room.code);
+    gameLog.deleteRoom(room.code);
+    passwordFailures.delete(room.code);
+    console.log(`Room ${room.code} has been closed because ${reason}.`);
+}
+
+// Plays are sent as positions in the hand so duplicates and id-less cards need no special casing
+function getPlayHints(room, player) {
+    if (room.gameState !== 'playing' || room.players[room.turnIndex] !== player) return { legalPlays: null, suggestedPlay: null };
+    const plays = engine.getLegalPlays(player.hand, room.field, room.gameSettings.rules, room.modifiers, room.lastPlay?.type);
+    const toIndexes = cards => cards.map(card => player.hand.indexOf(card));
+    const suggestion = cpu.suggestPlay(room, player.hand, plays);
+    return { legalPlays: plays.map(toIndexes), suggestedPlay: suggestion && toIndexes(suggestion) };
 }
 
 function getGameStateForPlayer(room, playerId) {
     const player = room.players.find(p => p.id === playerId);
-    return {
+    const state = {
         type: 'updateState',
         roomCode: room.code,
         gameState: room.gameState,
+        gameCount: room.gameCount,
         field: room.field,
+        fieldPlay: room.field.length > 0 ? engine.getFieldPlay(room.field, room.lastPlay?.type) : null,
         players: room.players.map(p => ({
             id: p.id, name: p.name, handCount: p.hand.length,
             isTurn: room.players[room.turnIndex]?.id === p.id,
-            role: p.role, rank: p.rank, status: p.status, isHost: room.gameSettings.hostId === p.id
+            role: p.role, rank: p.rank, status: p.status, isHost: room.gameSettings.hostId === p.id,
+            connected: p.connected, isCpu: p.isCpu, cpuLevel: p.cpuLevel
         })),
-        myHand: player?.hand || [],
+        spectatorCount: room.spectators.length,
+        spectators: room.spectators.map(s => ({ id: s.id, name: s.name })),
         myId: playerId,
         isHost: room.gameSettings.hostId === playerId,
-        gameSettings: room.gameSettings
+        gameSettings: room.gameSettings,
+        modifiers: room.modifiers,
+        turnTimeRemaining: room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null
+    };
+    if (!player) {
+        // Spectators see the table but never a hand
+        const spectator = room.spectators.find(s => s.id === playerId);
+        return { ...state, isSpectator: true, myName: spectator?.name };
+    }
+    return {
+        ...state, isSpectator: false, myHand: player.hand, myExchange: engine.getPendingExchange(room, playerId),
+        ...getPlayHints(room, player),
     };
 }
 
-function findNextPlayer(players, currentIndex) {
-    if (players.length === 0) return -1;
-    const activePlayers = players.filter(p => p.status === 'playing');
-    if (activePlayers.length === 0) return -1;
+function scheduleNextRound(room) {
+    clearTimeout(roundTimers.get(room.code));
+    roundTimers.set(room.code, setTimeout(() => {
+        roundTimers.delete(room.code);
+        if (rooms.get(room.code) === room && room.gameState === 'roundEnd') dispatch(room, { type: 'nextRound' });
+    }, ROUND_INTERVAL_MS));
+}
 
-    let nextIndex = (currentIndex + 1) % players.length;
-    while(players[nextIndex].status !== 'playing') {
-        nextIndex = (nextIndex + 1) % players.length;
+function removePlayer(room, player) {
+    if (!room.players.some(p => p !== player && !p.isCpu)) {
+        closeRoom(room, 'it is empty');
+        return;
     }
-    return nextIndex;
+    if (player.id === room.gameSettings.hostId) transferHost(room, player);
+    dispatch(room, { type: 'removePlayer', playerId: player.id });
 }
 
-function validatePlay(playedCards, playerHand, field) {
-    if (playedCards.length === 0) return { valid: false, message: 'カードを選択してください。' };
-    for (const card of playedCards) {
-        if (!playerHand.some(h => h.suit === card.suit && h.rank === card.rank))
-            return { valid: false, message: '手札にないカードです。' };
-    }
-    const firstCardRank = playedCards.find(c => c.rank !== 'joker')?.rank || playedCards[0].rank;
-    for (const card of playedCards) {
-        if (card.rank !== 'joker' && card.rank !== firstCardRank)
-            return { valid: false, message: '同じランクのカードしか同時に出せません。' };
+function takeSeat(room, spectator, ws) {
+    if (!room.gameSettings.allowSpectatorSeating) return { code: 'SEATING_NOT_ALLOWED' };
+    if (!engine.SEATING_STATES.includes(room.gameState)) return { code: 'SEAT_BETWEEN_GAMES' };
+    if (room.players.length >= room.gameSettings.maxPlayers) return { code: 'ROOM_FULL', params: { max: room.gameSettings.maxPlayers } };
+    room.spectators = room.spectators.filter(s => s !== spectator);
+    const player = createPlayer(spectator.id, spectator.name, spectator.profileId);
+    sendMessage(ws, { type: 'session', roomCode: room.code, token: player.token, profileId: player.profileId });
+    announce(room, 'SPECTATOR_SEATED', { name: player.name });
+    return dispatch(room, { type: 'addPlayer', player });
+}
+
+function transferHost(room, leavingPlayer = null) {
+    // New host is the next human in line, preferring one who is still connected
+    const humans = room.players.filter(p => !p.isCpu && p !== leavingPlayer);
+    const newHost = humans.find(p => p.connected) || humans[0];
+    if (!newHost) return;
+    room.gameSettings.hostId = newHost.id;
+    announce(room, 'HOST_CHANGED', { name: newHost.name });
+}
+
+function takeOverWithCpu(room, player) {
+    player.isCpu = true;
+    player.cpuLevel = 'easy';
+    player.connected = true;
+    announce(room, 'CPU_TAKEOVER', { name: player.name });
+    if (player.id === room.gameSettings.hostId) transferHost(room);
+    broadcastState(room);
+}
+
+function holdSeat(room, player) {
+    player.connected = false;
+    announce(room, 'PLAYER_DISCONNECTED', { name: player.name });
+    startSeatTimer(room, player.id);
+    broadcastState(room);
+}
+
+// Player objects are replaced on every engine action, so the seat is looked up again by id
+function startSeatTimer(room, playerId) {
+    disconnectTimers.set(playerId, setTimeout(() => {
+        disconnectTimers.delete(playerId);
+        const player = room.players.find(p => p.id === playerId);
+        if (rooms.get(room.code) !== room || !player || player.connected) return;
+        const othersPresent = room.players.some(p => p !== player && !p.isCpu && p.connected);
+        if (room.gameState === 'waiting' || !othersPresent) {
+            removePlayer(room, player);
+        } else {
+            takeOverWithCpu(room, player);
+        }
+    }, RECONNECT_GRACE_MS));
+}
+
+function resumeSeat(room, player, ws) {
+    clearTimeout(disconnectTimers.get(player.id));
+    disconnectTimers.delete(player.id);
+    // A stale socket for the same seat must not receive updates or release the seat when it closes,
+    // and its client is told not to reconnect so two tabs do not keep taking the seat from each other
+    wss.clients.forEach(client => {
+        if (client !== ws && client.id === player.id) {
+            client.roomCode = null;
+            sendError(client, 'SESSION_REPLACED');
+            client.close(protocol.CLOSE_SESSION_REPLACED, 'Seat resumed elsewhere');
+        }
+    });
+    ws.id = player.id;
+    ws.roomCode = room.code;
+    player.connected = true;
+    // Reclaim a seat that a CPU took over while the player was away
+    player.isCpu = false;
+    player.cpuLevel = null;
+    sendChatHistory(ws, room);
+    announce(room, 'PLAYER_RESUMED', { name: player.name });
+    resumeRoomTimers(room);
+    broadcastState(room);
+}
+
+// Restored rooms start without timers; the first returning player sets the room in motion again
+function resumeRoomTimers(room) {
+    room.players.forEach(p => {
+        if (!p.connected && !disconnectTimers.has(p.id)) startSeatTimer(room, p.id);
+    });
+    if (room.gameState === 'playing' && !turnTimers.has(room.code)) resetTurnTimer(room);
+    if (room.gameState === 'roundEnd' && !roundTimers.has(room.code)) scheduleNextRound(room);
+}
+
+function restoreRooms() {
+    roomStore.loadRooms().forEach(room => {
+        if (Date.now() - room.updatedAt > ROOM_TTL_MS) {
+            roomStore.deleteRoom(room.code);
+            return;
+        }
+        room.spectators = [];
+        room.turnDeadline = null;
+        room.chatLog = room.chatLog || [];
+        room.bannedProfileIds = room.bannedProfileIds || [];
+        room.gameSettings.visibility = room.gameSettings.visibility || 'unlisted';
+        room.gameSettings.maxPlayers = room.gameSettings.maxPlayers || engine.DEFAULT_MAX_PLAYERS;
+        room.gameSettings.deck = room.gameSettings.deck || engine.getDeckConfig(room.gameSettings.maxPlayers);
+        // Snapshots from before deals were seeded
+        if (room.rngState === undefined) room.seed = room.rngState = crypto.randomBytes(4).readUInt32LE();
+        room.players.forEach(p => { if (!p.isCpu) p.connected = false; });
+        rooms.set(room.code, room);
+    });
+    if (rooms.size > 0) console.log(`Restored ${rooms.size} room(s) from snapshots.`);
+}
+
+function expireStaleRooms() {
+    rooms.forEach(room => {
+        const hasConnectedPlayer = room.players.some(p => !p.isCpu && p.connected);
+        if (!hasConnectedPlayer && Date.now() - room.updatedAt > ROOM_TTL_MS) {
+            room.players.forEach(p => {
+                clearTimeout(disconnectTimers.get(p.id));
+                disconnectTimers.delete(p.id);
+            });
+            closeRoom(room, 'nobody has been connected for too long');
+        }
+    });
+}
+
+// Starts the clock for the current turn; when it runs out the player passes automatically
+function resetTurnTimer(room) {
+    clearTimeout(turnTimers.get(room.code));
+    turnTimers.delete(room.code);
+    room.turnDeadline = null;
+    const limit = room.gameSettings.turnTimeLimit;
+    if (room.gameState !== 'playing' || !limit) return;
+    const deadline = Date.now() + limit * 1000;
+    room.turnDeadline = deadline;
+    turnTimers.set(room.code, setTimeout(() => {
+        turnTimers.delete(room.code);
+        if (rooms.get(room.code) !== room || room.turnDeadline !== deadline) return;
+        const player = room.players[room.turnIndex];
+        if (!player) return;
+        announce(room, 'TURN_TIMED_OUT', { name: player.name });
+        dispatch(room, { type: 'pass', playerId: player.id });
+    }, limit * 1000));
+}
+
+// --- CPU Players ---
+function scheduleCpuAction(room) {
+    clearTimeout(cpuTimers.get(room.code));
+    cpuTimers.delete(room.code);
+    if (!cpu.getPendingCpu(room)) return;
+    cpuTimers.set(room.code, setTimeout(() => {
+        cpuTimers.delete(room.code);
+        if (rooms.get(room.code) !== room) return;
+        const player = cpu.getPendingCpu(room);
+        if (!player) return;
+        if (room.gameState === 'exchange') {
+            const { count } = engine.getPendingExchange(room, player.id);
+            dispatch(room, { type: 'exchangeCards', playerId: player.id, cards: cpu.chooseCpuExchange(player, count) });
+            return;
+        }
+        const cards = cpu.chooseCpuPlay(room, player);
+        dispatch(room, cards ? { type: 'playCards', playerId: player.id, cards } : { type: 'pass', playerId: player.id });
+    }, CPU_DELAY_MS));
+}
+
+// --- Chat ---
+function sendChat(ws, room, sender, data) {
+    if (ws.chatLimiter() > 0) {
+        sendError(ws, 'CHAT_RATE_LIMITED');
+        return;
     }
-    if (field.length > 0) {
-        if (playedCards.length !== field.length)
-            return { valid: false, message: `場と同じ${field.length}枚で出してください。` };
-        const playedValue = RANK_VALUES[firstCardRank];
-        const fieldCard = field.find(c => c.rank !== 'joker') || field[0];
-        if (playedValue <= RANK_VALUES[fieldCard.rank])
-            return { valid: false, message: '場より強いカードを出してください。' };
+    const entry = {
+        kind: data.type === 'reaction' ? 'reaction' : 'chat',
+        playerId: sender.id,
+        name: sender.name,
+        ...(data.type === 'reaction' ? { reaction: data.reaction } : { text: data.text }),
+        isSpectator: room.spectators.includes(sender),
+        at: Date.now(),
+    };
+    recordChat(room, entry);
+    broadcastToRoom(room.code, () => ({ type: 'chatMessage', entry }));
+    roomStore.saveRoom(room);
+}
+
+const ROOM_ENTRY_TYPES = ['createRoom', 'joinRoom', 'spectateRoom', 'resume'];
+
+// --- Moderation ---
+function findClient(room, id) {
+    return [...wss.clients].find(client => client.roomCode === room.code && client.id === id);
+}
+
+// Sends a client back to the lobby; sessionExpired goes first so the lobby keeps the message
+function dismissClient(ws, code) {
+    if (!ws) return;
+    sendMessage(ws, { type: 'sessionExpired' });
+    sendError(ws, code);
+    ws.roomCode = null;
+}
+
+function isBanned(room, playerKey) {
+    return Boolean(playerKey) && room.bannedProfileIds.includes(stats.getProfileId(playerKey));
+}
+
+// Removes a player or spectator; players with a profile cannot come back to this room
+function kickPlayer(room, host, targetId) {
+    if (targetId === host.id) return { code: 'CANNOT_KICK_SELF' };
+    const target = room.players.find(p => p.id === targetId && !p.isCpu) || room.spectators.find(s => s.id === targetId);
+    if (!target) return { code: 'PLAYER_NOT_FOUND' };
+    if (target.profileId) room.bannedProfileIds.push(target.profileId);
+    dismissClient(findClient(room, targetId), 'KICKED');
+    announce(room, 'PLAYER_KICKED', { name: target.name });
+    if (room.spectators.includes(target)) {
+        room.spectators = room.spectators.filter(s => s !== target);
+        broadcastState(room);
+        return null;
     }
-    return { valid: true };
-}
-
-function startNextRound(room) {
-    room.gameCount++;
-    room.gameState = 'playing';
-    room.field = [];
-    room.lastPlay = null;
-    room.passCount = 0;
-    room.ranks = [];
-    room.players.forEach(p => { p.status = 'playing'; p.rank = null; });
-    shuffleAndDeal(room.players);
-    const daifuminIndex = room.players.findIndex(p => p.role === '大貧民');
-    room.turnIndex = (daifuminIndex !== -1) ? daifuminIndex : Math.floor(Math.random() * room.players.length);
-    broadcastToRoom(room.code, (id) => getGameStateForPlayer(room, id));
+    clearTimeout(disconnectTimers.get(target.id));
+    disconnectTimers.delete(target.id);
+    removePlayer(room, target);
+    return null;
 }
 
-// ... (other helper functions like handleCardExchange would be similar, taking `room` as an argument)
+function handOverHost(room, targetId) {
+    const target = room.players.find(p => p.id === targetId && !p.isCpu);
+    if (!target) return { code: 'HOST_CANDIDATE_NOT_FOUND' };
+    room.gameSettings.hostId = target.id;
+    announce(room, 'HOST_TRANSFERRED', { name: target.name });
+    broadcastState(room);
+    return null;
+}
 
-wss.on('connection', (ws) => {
-    ws.id = `player_${Date.now()}_${Math.random()}`;
+function shutDownRoom(room, code) {
+    wss.clients.forEach(client => { if (client.roomCode === room.code) dismissClient(client, code); });
+    room.players.forEach(p => {
+        clearTimeout(disconnectTimers.get(p.id));
+        disconnectTimers.delete(p.id);
+    });
+    closeRoom(room, `it was shut down (${code})`);
+}
 
-    ws.on('message', (message) => {
-        const data = JSON.parse(message);
-        
-        if (data.type === 'createRoom') {
-            const roomCode = generateRoomCode();
-            const newRoom = createNewGame();
-            newRoom.code = roomCode;
-            const newPlayer = { id: ws.id, name: data.name, hand: [], status: 'playing', role: '平民', rank: null };
-            
-            newRoom.players.push(newPlayer);
-            newRoom.gameSettings.hostId = ws.id;
-            newRoom.gameSettings.limit = parseInt(data.gameLimit, 10);
-            
-            rooms.set(roomCode, newRoom);
-            ws.roomCode = roomCode;
-            
-            ws.send(JSON.stringify(getGameStateForPlayer(newRoom, ws.id)));
+// --- Admin ---
+function countClients(room) {
+    return [...wss.clients].filter(client => client.roomCode === room.code).length;
+}
+
+// Full room state for operators, without session tokens or the password hash
+function getRoomSnapshot(room) {
+    const { passwordHash, ...rest } = room;
+    return {
+        ...rest,
+        players: room.players.map(({ token, ...player }) => player),
+        connectedClients: countClients(room),
+    };
+}
+
+function getMetrics() {
+    const roomList = [...rooms.values()];
+    const players = roomList.flatMap(room => room.players);
+    return {
+        uptimeSeconds: Math.round(process.uptime()),
+        connectedClients: wss.clients.size,
+        rooms: roomList.length,
+        activeGames: roomList.filter(room => ACTIVE_GAME_STATES.includes(room.gameState)).length,
+        players: players.filter(p => !p.isCpu).length,
+        connectedPlayers: players.filter(p => !p.isCpu && p.connected).length,
+        cpuPlayers: players.filter(p => p.isCpu).length,
+        spectators: roomList.reduce((sum, room) => sum + room.spectators.length, 0),
+        profiles: profiles.size,
+        memoryRssBytes: process.memoryUsage().rss,
+    };
+}
+
+// Checks shared by joining and watching; resolves to the room, or null once the reason is sent
+async function findRoomToEnter(ws, data) {
+    const room = rooms.get(data.roomCode);
+    if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
+        return null;
+    }
+    const passwordError = await verifyPassword(ws, room, data.password);
+    if (passwordError) {
+        sendError(ws, passwordError.code);
+        return null;
+    }
+    // The room or this connection may have changed while the password was being checked
+    if (ws.readyState !== WebSocket.OPEN) return null;
+    if (rooms.get(room.code) !== room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
+        return null;
+    }
+    if (rooms.has(ws.roomCode)) {
+        sendError(ws, 'ALREADY_IN_ROOM');
+        return null;
+    }
+    if (isBanned(room, data.playerKey)) {
+        sendError(ws, 'BANNED');
+        return null;
+    }
+    return room;
+}
+
+async function handleClientMessage(ws, data) {
+    if (ROOM_ENTRY_TYPES.includes(data.type) && rooms.has(ws.roomCode)) {
+        sendError(ws, 'ALREADY_IN_ROOM');
+        return;
+    }
+
+    if (data.type === 'createRoom') {
+        const newRoom = createNewGame({ limit: data.gameLimit, rules: data.rules, maxPlayers: data.maxPlayers });
+        const visibilityError = await setVisibility(newRoom, data.visibility || 'unlisted', data.password);
+        if (visibilityError) {
+            sendError(ws, visibilityError.code);
+            return;
+        }
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (rooms.has(ws.roomCode)) {
+            sendError(ws, 'ALREADY_IN_ROOM');
             return;
         }
+        const roomCode = generateRoomCode();
+        newRoom.code = roomCode;
+        const newPlayer = createPlayer(ws.id, data.name, useProfile(data.playerKey, data.name));
+
+        newRoom.players.push(newPlayer);
+        newRoom.gameSettings.hostId = ws.id;
+        newRoom.gameSettings.turnTimeLimit = TURN_TIME_LIMITS.includes(data.turnTimeLimit) ? data.turnTimeLimit : 0;
+
+        rooms.set(roomCode, newRoom);
+        roomStore.saveRoom(newRoom);
+        ws.roomCode = roomCode;
 
-        if (data.type === 'joinRoom') {
-            const room = rooms.get(data.roomCode.toUpperCase());
-            if (!room) {
-                ws.send(JSON.stringify({ type: 'errorMessage', message: '部屋が見つかりません。' }));
-                return;
-            }
-            if (room.players.length >= 4) {
-                ws.send(JSON.stringify({ type: 'errorMessage', message: 'この部屋は満員です。' }));
-                return;
-            }
-            if (room.gameState !== 'waiting') {
-                ws.send(JSON.stringify({ type: 'errorMessage', message: 'この部屋は既にゲームが始まっています。' }));
-                return;
-            }
-            const newPlayer = { id: ws.id, name: data.name, hand: [], status: 'playing', role: '平民', rank: null };
-            room.players.push(newPlayer);
-            ws.roomCode = data.roomCode.toUpperCase();
-            
-            broadcastToRoom(ws.roomCode, () => ({ type: 'systemMessage', message: `${data.name}が参加しました。` }));
-            broadcastToRoom(ws.roomCode, (id) => getGameStateForPlayer(room, id));
+        sendMessage(ws, { type: 'session', roomCode, token: newPlayer.token, profileId: newPlayer.profileId });
+        sendMessage(ws, getGameStateForPlayer(newRoom, ws.id));
+        return;
+    }
+
+    if (data.type === 'joinRoom') {
+        const room = await findRoomToEnter(ws, data);
+        if (!room) return;
+        if (room.players.length >= room.gameSettings.maxPlayers) {
+            sendError(ws, 'ROOM_FULL_SPECTATE_ONLY', { max: room.gameSettings.maxPlayers });
+            return;
+        }
+        if (room.gameState !== 'waiting') {
+            sendError(ws, 'GAME_STARTED_SPECTATE_ONLY');
             return;
         }
+        const newPlayer = createPlayer(ws.id, data.name, useProfile(data.playerKey, data.name));
+        ws.roomCode = room.code;
+        sendMessage(ws, { type: 'session', roomCode: ws.roomCode, token: newPlayer.token, profileId: newPlayer.profileId });
+        sendChatHistory(ws, room);
+        announce(room, 'PLAYER_JOINED', { name: data.name });
+        dispatch(room, { type: 'addPlayer', player: newPlayer });
+        return;
+    }
 
-        // All subsequent actions require a roomCode on the ws object
-        const roomCode = ws.roomCode;
-        const room = rooms.get(roomCode);
+    if (data.type === 'spectateRoom') {
+        const room = await findRoomToEnter(ws, data);
         if (!room) return;
-        const player = room.players.find(p => p.id === ws.id);
-        if (!player) return;
+        room.spectators.push({ id: ws.id, name: data.name, profileId: useProfile(data.playerKey, data.name) });
+        ws.roomCode = room.code;
+        sendChatHistory(ws, room);
+        announce(room, 'SPECTATOR_JOINED', { name: data.name });
+        broadcastState(room);
+        return;
+    }
 
-        if (data.type === 'startGame') {
-            if (player.id !== room.gameSettings.hostId || room.gameState !== 'waiting' || room.players.length < 2) return;
-            broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: 'ホストがゲームを開始しました！' }));
-            startNextRound(room);
+    if (data.type === 'resume') {
+        const room = rooms.get(data.roomCode);
+        const player = room?.players.find(p => p.token === data.token);
+        if (!player) {
+            sendMessage(ws, { type: 'sessionExpired' });
+            sendError(ws, 'RESUME_FAILED');
+            return;
         }
+        resumeSeat(room, player, ws);
+        return;
+    }
 
-        if (room.gameState !== 'playing' || room.players[room.turnIndex]?.id !== ws.id) return;
-        
-        // --- In-Game Actions ---
-        if (data.type === 'playCards') {
-            // ... (game logic for playing cards, adapted for 'room')
-            const validation = validatePlay(data.cards, player.hand, room.field);
-            if (!validation.valid) {
-                ws.send(JSON.stringify({ type: 'errorMessage', message: validation.message }));
-                return;
-            }
-            data.cards.forEach(c => { player.hand.splice(player.hand.findIndex(h => h.suit === c.suit && h.rank === c.rank), 1); });
-            room.field = data.cards;
-            room.lastPlay = { playerId: player.id, cards: data.cards };
-            player.status = 'playing';
-            room.passCount = 0;
-            if (data.cards.some(c => c.rank === '8')) {
-                broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: `${player.name}が8切り！場が流れます。` }));
-                room.field = [];
-                room.lastPlay = null;
-            } else {
-                 room.turnIndex = findNextPlayer(room.players, room.turnIndex);
-            }
-            if (player.hand.length === 0) {
-                // ... (win condition logic)
-            }
-            broadcastToRoom(roomCode, (id) => getGameStateForPlayer(room, id));
-        } else if (data.type === 'pass') {
-            // ... (pass logic adapted for 'room')
-            player.status = 'passed';
-            room.passCount++;
-            const activePlayers = room.players.filter(p => p.status === 'playing');
-            if (room.passCount >= activePlayers.length) {
-                broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: `全員がパスしました。場が流れます。` }));
-                room.field = [];
-                room.passCount = 0;
-                room.players.forEach(p => { if (p.rank === null) p.status = 'playing'; });
-                const lastPlayer = room.players.find(p => p.id === room.lastPlay?.playerId);
-                room.turnIndex = (lastPlayer && lastPlayer.status !== 'finished') ? room.players.indexOf(lastPlayer) : findNextPlayer(room.players, room.turnIndex);
-                room.lastPlay = null;
-            } else {
-                room.turnIndex = findNextPlayer(room.players, room.turnIndex);
-            }
-            broadcastToRoom(roomCode, (id) => getGameStateForPlayer(room, id));
+    // All subsequent actions require a roomCode on the ws object
+    const roomCode = ws.roomCode;
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    const spectator = room.spectators.find(s => s.id === ws.id);
+    if (data.type === 'chat' || data.type === 'reaction') {
+        const sender = spectator || room.players.find(p => p.id === ws.id);
+        if (sender) sendChat(ws, room, sender, data);
+        return;
+    }
+    if (spectator) {
+        const error = data.type === 'takeSeat' ? takeSeat(room, spectator, ws) : { code: 'SPECTATOR_NOT_ALLOWED' };
+        if (error) sendError(ws, error.code, error.params);
+        return;
+    }
+    const player = room.players.find(p => p.id === ws.id);
+    if (!player) return;
+    const isHost = player.id === room.gameSettings.hostId;
+    let error = null;
+
+    if (data.type === 'setSpectatorSeating') {
+        if (!isHost) return;
+        room.gameSettings.allowSpectatorSeating = data.allowed;
+        broadcastState(room);
+    } else if (data.type === 'setRoomVisibility') {
+        if (!isHost) return;
+        error = await setVisibility(room, data.visibility, data.password);
+        if (!error && rooms.get(room.code) === room) broadcastState(room);
+    } else if (data.type === 'startGame') {
+        if (!isHost) return;
+        error = dispatch(room, { type: 'startMatch' });
+    } else if (data.type === 'addCpu') {
+        if (!isHost || room.gameState !== 'waiting') return;
+        const cpuPlayer = createCpuPlayer(room, data.level || 'easy');
+        error = dispatch(room, { type: 'addPlayer', player: cpuPlayer });
+        if (!error) announce(room, 'PLAYER_JOINED', { name: cpuPlayer.name });
+    } else if (data.type === 'removeCpu') {
+        if (!isHost || room.gameState !== 'waiting') return;
+        const cpuPlayer = room.players.find(p => p.id === data.playerId && p.isCpu);
+        if (cpuPlayer) removePlayer(room, cpuPlayer);
+    } else if (data.type === 'kickPlayer') {
+        if (!isHost) return;
+        error = kickPlayer(room, player, data.playerId);
+    } else if (data.type === 'transferHost') {
+        if (!isHost) return;
+        error = handOverHost(room, data.playerId);
+    } else if (data.type === 'reorderSeats') {
+        if (!isHost) return;
+        error = dispatch(room, { type: 'reorderPlayers', playerIds: data.playerIds });
+    } else if (data.type === 'endMatch') {
+        if (!isHost) return;
+        error = dispatch(room, { type: 'stopMatch' });
+    } else if (data.type === 'exchangeCards') {
+        error = dispatch(room, { type: 'exchangeCards', playerId: player.id, cards: data.cards });
+    } else if (data.type === 'playCards') {
+        error = dispatch(room, { type: 'playCards', playerId: player.id, cards: data.cards });
+    } else if (data.type === 'pass') {
+        error = dispatch(room, { type: 'pass', playerId: player.id });
+    }
+    if (error) sendError(ws, error.code, error.params);
+}
+
+wss.on('connection', (ws, req) => {
+    ws.id = `player_${Date.now()}_${Math.random()}`;
+    ws.rateLimiter = protocol.createRateLimiter();
+    ws.chatLimiter = protocol.createRateLimiter(CHAT_RATE_LIMIT, CHAT_RATE_WINDOW_MS);
+    ws.remoteAddress = req.socket.remoteAddress;
+
+    ws.on('message', (message) => {
+        const excess = ws.rateLimiter();
+        if (excess > 0) {
+            if (excess === 1) sendError(ws, protocol.ERROR_CODES.RATE_LIMITED);
+            if (excess > protocol.RATE_LIMIT_DISCONNECT - protocol.RATE_LIMIT) ws.close(1008, 'Rate limit exceeded');
+            return;
         }
+        const parsed = protocol.parseClientMessage(message);
+        if (!parsed.valid) {
+            sendError(ws, parsed.code, parsed.params);
+            return;
+        }
+        handleClientMessage(ws, parsed.data).catch(err => {
+            console.error(`Error while handling ${parsed.data.type}:`, err);
+            sendError(ws, protocol.ERROR_CODES.INTERNAL_ERROR);
+        });
     });
 
+    ws.on('error', (err) => console.error(`WebSocket error for ${ws.id}:`, err.message));
+
     ws.on('close', () => {
-        const roomCode = ws.roomCode;
-        if (!roomCode) return;
-        const room = rooms.get(roomCode);
+        const room = rooms.get(ws.roomCode);
         if (!room) return;
-        
-        const playerIndex = room.players.findIndex(p => p.id === ws.id);
-        if (playerIndex > -1) {
-            const disconnectedPlayer = room.players.splice(playerIndex, 1)[0];
-            broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: `${disconnectedPlayer.name}が切断しました。` }));
-
-            if (room.players.length === 0) {
-                rooms.delete(roomCode);
-                console.log(`Room ${roomCode} is empty and has been closed.`);
-                return;
-            }
-
-            if (disconnectedPlayer.id === room.gameSettings.hostId) {
-                room.gameSettings.hostId = room.players[0].id; // New host is the next player in line
-                broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: `ホストが交代し、${room.players[0].name}が新しいホストになりました。` }));
-            }
-            
-            if (room.gameState !== 'waiting' && room.players.length < 2) {
-                // For simplicity, reset the room if game is in progress with less than 2 players
-                const oldSettings = room.gameSettings;
-                rooms.set(roomCode, createNewGame());
-                const newRoom = rooms.get(roomCode);
-                newRoom.players = room.players; // Keep remaining players
-                newRoom.gameSettings = oldSettings;
-                newRoom.code = roomCode;
-                broadcastToRoom(roomCode, () => ({ type: 'systemMessage', message: 'プレイヤーが不足したため、ゲームをリセットします。' }));
-            }
-            broadcastToRoom(roomCode, (id) => getGameStateForPlayer(room, id));
+        const player = room.players.find(p => p.id === ws.id);
+        if (player) {
+            holdSeat(room, player);
+        } else if (room.spectators.some(s => s.id === ws.id)) {
+            room.spectators = room.spectators.filter(s => s.id !== ws.id);
+            broadcastState(room);
         }
     });
 });
 
-server.listen(PORT, () => console.log(`Server is listening on port ${PORT}`));
\ No newline at end of file
+profileStore.loadProfiles().forEach(profile => profiles.set(profile.id, profile));
+restoreRooms();
+setInterval(expireStaleRooms, STALE_SWEEP_INTERVAL_MS);
+
+server.listen(PORT, () => console.log(`Server is listening on port ${PORT}`));
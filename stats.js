@@ -0,0 +1,84 @@
+// Player profiles and per-player statistics.
+// A profile is keyed by a hash of the random player key the browser keeps, so the key itself
+// is never shown to other players. Stats are updated from engine events: every finished game
+// counts towards games played, finishing positions and the role held afterwards, and 8切り
+// is counted as it happens. Players who have been replaced by a CPU are not counted.
+
+const crypto = require('crypto');
+
+const LEADERBOARD_SORTS = {
+    daifugo: (a, b) => b.daifugoCount - a.daifugoCount || a.averageRank - b.averageRank,
+    averageRank: (a, b) => a.averageRank - b.averageRank || b.gamesPlayed - a.gamesPlayed,
+    games: (a, b) => b.gamesPlayed - a.gamesPlayed,
+    eightCut: (a, b) => b.eightCutCount - a.eightCutCount,
+};
+const DEFAULT_LEADERBOARD_SIZE = 50;
+
+function getProfileId(playerKey) {
+    return crypto.createHash('sha256').update(playerKey).digest('hex').slice(0, 16);
+}
+
+function createProfile(id, name) {
+    return {
+        id,
+        name,
+        createdAt: Date.now(),
+        lastPlayedAt: null,
+        gamesPlayed: 0,
+        finishes: {},       // rank → times finished there
+        rankTotal: 0,
+        daifugoCount: 0,    // games ended as 大富豪
+        daihinminCount: 0,  // games ended as 大貧民
+        eightCutCount: 0,
+    };
+}
+
+// Applies the events of one engine action and returns the profiles that changed
+function recordEvents(profiles, room, events) {
+    const changed = new Set();
+    const profileOf = playerId => {
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || player.isCpu || !player.profileId) return null;
+        return profiles.get(player.profileId) || null;
+    };
+    events.forEach(event => {
+        if (event.type === 'eightCut') {
+            const profile = profileOf(event.playerId);
+            if (!profile) return;
+            profile.eightCutCount++;
+            changed.add(profile);
+        } else if (event.type === 'roundEnded') {
+            event.results.forEach(({ playerId, rank, role }) => {
+                const profile = profileOf(playerId);
+                if (!profile) return;
+                profile.gamesPlayed++;
+                profile.finishes[rank] = (profile.finishes[rank] || 0) + 1;
+                profile.rankTotal += rank;
+                if (role === '大富豪') profile.daifugoCount++;
+                if (role === '大貧民') profile.daihinminCount++;
+                profile.lastPlayedAt = Date.now();
+                changed.add(profile);
+            });
+        }
+    });
+    return [...changed];
+}
+
+function getPublicProfile(profile) {
+    const { id, name, createdAt, lastPlayedAt, gamesPlayed, finishes, daifugoCount, daihinminCount, eightCutCount } = profile;
+    const averageRank = gamesPlayed > 0 ? Math.round(profile.rankTotal / gamesPlayed * 100) / 100 : null;
+    return {
+        id, name, createdAt, lastPlayedAt, gamesPlayed, finishes, averageRank, daifugoCount, daihinminCount, eightCutCount,
+    };
+}
+
+function getLeaderboard(profiles, sort = 'daifugo', limit = DEFAULT_LEADERBOARD_SIZE) {
+    const compare = LEADERBOARD_SORTS[sort] || LEADERBOARD_SORTS.daifugo;
+    return [...profiles.values()]
+        .filter(p => p.gamesPlayed > 0)
+        .map(getPublicProfile)
+        .sort(compare)
+        .slice(0, limit);
+}
+
+module.exports = { LEADERBOARD_SORTS, getProfileId, createProfile, recordEvents, getPublicProfile, getLeaderboard };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const cpu = require('../cpu');
+
+const card = (suit, rank) => ({ suit, rank, value: engine.RANK_VALUES[rank] });
+
+function createState(hand, field) {
+    const state = engine.createGame({ seed: 1 });
+    state.players = [{ ...engine.createPlayer('p0', 'P0'), hand, cpuLevel: 'hard' }];
+    state.gameState = 'playing';
+    state.turnIndex = 0;
+    state.field = field;
+    return state;
+}
+
+test('suggests a legal play even when a cautious CPU would pass', () => {
+    const hand = [card('s', '4'), card('h', '6'), card('d', '9'), card('c', 'J'), card('s', 'K'), card('h', '2')];
+    const state = createState(hand, [card('d', 'A')]);
+    const plays = engine.getLegalPlays(hand, state.field, state.gameSettings.rules, state.modifiers);
+    assert.equal(cpu.chooseCpuPlay(state, state.players[0]), null);
+    assert.deepEqual(cpu.suggestPlay(state, hand, plays), [card('h', '2')]);
+    assert.equal(cpu.suggestPlay(state, hand, []), null);
+});
+
+test('suggestion when leading prefers getting rid of weak cards', () => {
+    const hand = [card('s', '4'), card('h', '4'), card('d', '9'), card('h', '2')];
+    const state = createState(hand, []);
+    const plays = engine.getLegalPlays(hand, [], state.gameSettings.rules, state.modifiers);
+    assert.deepEqual(cpu.suggestPlay(state, hand, plays), [card('s', '4'), card('h', '4')]);
+});
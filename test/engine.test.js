@@ -0,0 +1,298 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const card = (suit, rank) => ({ suit, rank, value: engine.RANK_VALUES[rank] });
+const JOKER = card('joker', 'joker');
+
+// Sets up a game that is already in play with the given hands; player ids are p0, p1, ...
+function createPlayingState(hands, { turnIndex = 0, rules } = {}) {
+    const state = engine.createGame({ seed: 1, rules });
+    state.players = hands.map((hand, i) => ({ ...engine.createPlayer(`p${i}`, `P${i}`), hand }));
+    state.gameState = 'playing';
+    state.gameCount = 1;
+    state.turnIndex = turnIndex;
+    return state;
+}
+
+function apply(state, action) {
+    const result = engine.applyAction(state, action);
+    assert.equal(result.error, undefined, result.error?.code);
+    return result;
+}
+
+function addPlayers(state, count) {
+    for (let i = 0; i < count; i++) {
+        state = apply(state, { type: 'addPlayer', player: engine.createPlayer(`p${i}`, `P${i}`) }).state;
+    }
+    return state;
+}
+
+const eventTypes = events => events.map(e => e.type);
+
+test('same seed deals the same hands', () => {
+    const deal = seed => apply(addPlayers(engine.createGame({ seed }), 4), { type: 'startMatch' }).state;
+    const a = deal(42);
+    const b = deal(42);
+    const c = deal(43);
+    assert.deepEqual(a.players.map(p => p.hand), b.players.map(p => p.hand));
+    assert.equal(a.turnIndex, b.turnIndex);
+    assert.notDeepEqual(a.players.map(p => p.hand), c.players.map(p => p.hand));
+});
+
+test('deal hands out the whole deck', () => {
+    const { state, events } = apply(addPlayers(engine.createGame({ seed: 7 }), 3), { type: 'startMatch' });
+    assert.deepEqual(state.players.map(p => p.hand.length), [18, 18, 17]);
+    assert.equal(state.gameState, 'playing');
+    assert.deepEqual(eventTypes(events), ['matchStarted', 'roundStarted', 'turnStarted']);
+});
+
+test('larger tables deal from two decks with two jokers', () => {
+    let state = addPlayers(engine.createGame({ seed: 3, maxPlayers: 8 }), 8);
+    assert.deepEqual(state.gameSettings.deck, { decks: 2, jokers: 2 });
+    const full = engine.applyAction(state, { type: 'addPlayer', player: engine.createPlayer('p8', 'P8') });
+    assert.deepEqual(full.error, { code: 'ROOM_FULL', params: { max: 8 } });
+
+    state = apply(state, { type: 'startMatch' }).state;
+    const dealt = state.players.flatMap(p => p.hand);
+    assert.equal(dealt.length, 106);
+    assert.equal(new Set(dealt.map(c => c.id)).size, 106);
+    assert.equal(dealt.filter(c => c.rank === 'joker').length, 2);
+    assert.deepEqual(engine.getDeckConfig(5), { decks: 1, jokers: 2 });
+});
+
+test('duplicate cards are told apart by id', () => {
+    const first = { ...card('s', '9'), id: 's9:0' };
+    const second = { ...card('s', '9'), id: 's9:1' };
+    const state = createPlayingState([[first, second, card('h', '5')], [card('d', '4'), card('c', '6')]]);
+    const { state: next } = apply(state, { type: 'playCards', playerId: 'p0', cards: [{ suit: 's', rank: '9', id: 's9:1' }] });
+    assert.deepEqual(next.players[0].hand, [first, card('h', '5')]);
+    assert.equal(next.field[0].id, 's9:1');
+    const pair = createPlayingState([[first, second, card('h', '5')], [card('d', '4')]]);
+    assert.equal(apply(pair, { type: 'playCards', playerId: 'p0', cards: [first, second] }).state.field.length, 2);
+});
+
+test('a card is judged by the hand card its id matches, not the rank it claims', () => {
+    const three = { ...card('c', '3'), id: 'c3:0' };
+    const state = createPlayingState([[card('s', '5'), card('h', '9')], [three, card('d', '6')]], { turnIndex: 1 });
+    state.field = [card('h', 'A')];
+    state.lastPlay = { playerId: 'p0', cards: state.field };
+    const result = engine.applyAction(state, { type: 'playCards', playerId: 'p1', cards: [{ suit: 's', rank: '2', id: 'c3:0' }] });
+    assert.equal(result.error.code, 'MUST_BEAT_FIELD');
+});
+
+test('applyAction leaves the input state untouched', () => {
+    const state = createPlayingState([[card('s', '3'), card('h', '5')], [card('d', '4'), card('c', '6')]]);
+    const before = structuredClone(state);
+    apply(state, { type: 'playCards', playerId: 'p0', cards: [card('s', '3')] });
+    assert.deepEqual(state, before);
+});
+
+test('rejects actions out of turn and unknown actions', () => {
+    const state = createPlayingState([[card('s', '3'), card('h', '5')], [card('d', '4'), card('c', '6')]]);
+    const outOfTurn = engine.applyAction(state, { type: 'pass', playerId: 'p1' });
+    assert.equal(outOfTurn.error.code, 'NOT_YOUR_TURN');
+    assert.equal(outOfTurn.state, state);
+    assert.ok(engine.applyAction(state, { type: 'toString' }).error);
+});
+
+test('rejects plays that do not beat the field', () => {
+    const state = createPlayingState([[card('s', '5'), card('h', '9')], [card('d', '4'), card('c', '6')]], { turnIndex: 1 });
+    state.field = [card('s', '5')];
+    state.lastPlay = { playerId: 'p0', cards: state.field };
+    const result = engine.applyAction(state, { type: 'playCards', playerId: 'p1', cards: [card('d', '4')] });
+    assert.equal(result.error.code, 'MUST_BEAT_FIELD');
+});
+
+test('cannot play the same card twice in one play', () => {
+    const state = createPlayingState([[card('s', '5'), card('h', '9')], [card('d', '4'), card('c', '6')]]);
+    const result = engine.applyAction(state, { type: 'playCards', playerId: 'p0', cards: [card('s', '5'), card('s', '5')] });
+    assert.equal(result.error.code, 'NOT_IN_HAND');
+});
+
+test('passing moves the turn to the next player who has not passed', () => {
+    const hands = [[card('s', '3'), card('h', '4')], [card('s', '5'), card('h', '6')], [card('s', '7'), card('h', '9')]];
+    let { state } = apply(createPlayingState(hands), { type: 'playCards', playerId: 'p0', cards: [card('s', '3')] });
+    assert.equal(state.turnIndex, 1);
+    const result = apply(state, { type: 'pass', playerId: 'p1' });
+    state = result.state;
+    assert.equal(state.turnIndex, 2);
+    assert.equal(state.players[1].status, 'passed');
+    assert.equal(state.passCount, 1);
+    assert.deepEqual(eventTypes(result.events), ['passed', 'turnStarted']);
+});
+
+test('field clears when everyone else passes and the last player leads again', () => {
+    const hands = [[card('s', '3'), card('h', '4')], [card('s', '5'), card('h', '6')], [card('s', '7'), card('h', '9')]];
+    let { state } = apply(createPlayingState(hands), { type: 'playCards', playerId: 'p0', cards: [card('s', '3')] });
+    state = apply(state, { type: 'pass', playerId: 'p1' }).state;
+    const { state: cleared, events } = apply(state, { type: 'pass', playerId: 'p2' });
+    assert.deepEqual(cleared.field, []);
+    assert.equal(cleared.lastPlay, null);
+    assert.equal(cleared.turnIndex, 0);
+    assert.ok(cleared.players.every(p => p.status === 'playing'));
+    assert.deepEqual(eventTypes(events), ['passed', 'allPassed', 'fieldCleared', 'turnStarted']);
+});
+
+test('field clear after a finished player passes the lead to the next player', () => {
+    const hands = [[card('s', '9')], [card('s', '5'), card('h', '6')], [card('s', '7'), card('h', '10')]];
+    let { state, events } = apply(createPlayingState(hands), { type: 'playCards', playerId: 'p0', cards: [card('s', '9')] });
+    assert.ok(eventTypes(events).includes('playerFinished'));
+    assert.equal(state.players[0].rank, 1);
+    state = apply(state, { type: 'pass', playerId: 'p1' }).state;
+    state = apply(state, { type: 'pass', playerId: 'p2' }).state;
+    assert.deepEqual(state.field, []);
+    assert.equal(state.turnIndex, 1);
+});
+
+test('8切り clears the field and the same player leads again', () => {
+    const hands = [[card('s', '8'), card('h', '4')], [card('s', '5'), card('h', '6')], [card('s', '7'), card('h', '9')]];
+    const state = createPlayingState(hands);
+    state.field = [card('d', '6')];
+    state.lastPlay = { playerId: 'p2', cards: state.field };
+    const { state: next, events } = apply(state, { type: 'playCards', playerId: 'p0', cards: [card('s', '8')] });
+    assert.deepEqual(next.field, []);
+    assert.equal(next.turnIndex, 0);
+    assert.deepEqual(eventTypes(events), ['cardsPlayed', 'eightCut', 'fieldCleared', 'turnStarted']);
+});
+
+test('8 does not clear the field when 8切り is off', () => {
+    const hands = [[card('s', '8'), card('h', '4')], [card('s', '5'), card('h', '6')]];
+    const { state } = apply(createPlayingState(hands, { rules: { eightCut: false } }),
+        { type: 'playCards', playerId: 'p0', cards: [card('s', '8')] });
+    assert.deepEqual(state.field, [card('s', '8')]);
+    assert.equal(state.turnIndex, 1);
+});
+
+test('one card with two jokers is read as a sequence on a sequence field', () => {
+    const run = [card('s', '5'), JOKER, JOKER];
+    assert.equal(engine.getPlayType(run).type, 'group');
+    assert.deepEqual(engine.getPlayType(run, 'sequence'), { type: 'sequence', value: engine.RANK_VALUES['5'], length: 3, suit: 's' });
+
+    const state = createPlayingState([[card('h', '9')], [...run, card('d', '9')]], { turnIndex: 1 });
+    state.field = [card('h', '3'), card('h', '4'), card('h', '5')];
+    state.lastPlay = { playerId: 'p0', cards: state.field, type: 'sequence' };
+    const { state: next } = apply(state, { type: 'playCards', playerId: 'p1', cards: run });
+    assert.equal(next.lastPlay.type, 'sequence');
+    assert.equal(engine.getPlayType(next.field, next.lastPlay.type).type, 'sequence');
+});
+
+test('revolution reverses card strength', () => {
+    const quad = ['s', 'h', 'd', 'c'].map(suit => card(suit, '9'));
+    const hands = [[...quad, card('s', '4'), card('h', '7')], [card('s', '3'), card('h', '2'), card('d', '5')]];
+    let { state, events } = apply(createPlayingState(hands), { type: 'playCards', playerId: 'p0', cards: quad });
+    assert.equal(state.modifiers.revolution, true);
+    assert.ok(eventTypes(events).includes('revolution'));
+    state = apply(state, { type: 'pass', playerId: 'p1' }).state;
+    state = apply(state, { type: 'playCards', playerId: 'p0', cards: [card('s', '4')] }).state;
+    assert.ok(engine.applyAction(state, { type: 'playCards', playerId: 'p1', cards: [card('h', '2')] }).error);
+    apply(state, { type: 'playCards', playerId: 'p1', cards: [card('s', '3')] });
+});
+
+test('a spare joker extends a sequence downwards under revolution', () => {
+    const run = [card('s', '4'), card('s', '5'), JOKER];
+    const state = createPlayingState([[card('h', '9')], [...run, card('d', '9')]], { turnIndex: 1 });
+    state.modifiers.revolution = true;
+    state.field = [card('h', '4'), card('h', '5'), card('h', '6')];
+    state.lastPlay = { playerId: 'p0', cards: state.field, type: 'sequence' };
+    assert.deepEqual(engine.getLegalPlays(state.players[1].hand, state.field, state.gameSettings.rules, state.modifiers, 'sequence'),
+        [[JOKER, card('s', '4'), card('s', '5')]]);
+    const { state: next } = apply(state, { type: 'playCards', playerId: 'p1', cards: run });
+    assert.deepEqual(next.field, [JOKER, card('s', '4'), card('s', '5')]);
+    assert.equal(engine.getFieldPlay(next.field, next.lastPlay.type).value, engine.RANK_VALUES['3']);
+});
+
+test('round ends when one player is left and hands out roles and points', () => {
+    const hands = [[card('s', '9')], [card('s', '5'), card('h', '6')], [card('s', '3'), card('h', '4')]];
+    const state = createPlayingState(hands, { turnIndex: 1 });
+    state.players[2].status = 'finished';
+    state.players[2].rank = 1;
+    state.ranks = ['p2'];
+    state.field = [card('d', '5')];
+    state.lastPlay = { playerId: 'p0', cards: state.field };
+    state.players[1].hand = [card('s', '10')];
+    const { state: next, events } = apply(state, { type: 'playCards', playerId: 'p1', cards: [card('s', '10')] });
+    assert.equal(next.gameState, 'roundEnd');
+    assert.equal(next.turnIndex, -1);
+    assert.deepEqual(next.players.map(p => p.rank), [3, 2, 1]);
+    assert.deepEqual(next.players.map(p => p.role), ['大貧民', '平民', '大富豪']);
+    assert.deepEqual(next.players.map(p => p.points), [0, 1, 2]);
+    const roundEnded = events.find(e => e.type === 'roundEnded');
+    assert.deepEqual(roundEnded.results.map(r => r.playerId), ['p2', 'p1', 'p0']);
+});
+
+test('match ends after the game limit and next round starts with a card exchange', () => {
+    const hands = [[card('s', '9')], [card('s', '5'), card('h', '6')]];
+    const limited = createPlayingState(hands);
+    limited.gameSettings.limit = 1;
+    const { state: finished, events } = apply(limited, { type: 'playCards', playerId: 'p0', cards: [card('s', '9')] });
+    assert.equal(finished.gameState, 'finished');
+    assert.deepEqual(events.find(e => e.type === 'matchEnded').standings.map(s => s.id), ['p0', 'p1']);
+
+    const open = createPlayingState(hands);
+    const { state: roundEnd } = apply(open, { type: 'playCards', playerId: 'p0', cards: [card('s', '9')] });
+    assert.equal(roundEnd.gameState, 'roundEnd');
+    const { state: exchange, events: nextEvents } = apply(roundEnd, { type: 'nextRound' });
+    assert.equal(exchange.gameState, 'exchange');
+    assert.equal(exchange.gameCount, 2);
+    assert.deepEqual(exchange.players.map(p => p.hand.length), [29, 24]);
+    assert.ok(eventTypes(nextEvents).includes('tributePaid'));
+
+    const rich = exchange.players[0];
+    const { state: playing } = apply(exchange, { type: 'exchangeCards', playerId: 'p0', cards: rich.hand.slice(0, 2) });
+    assert.equal(playing.gameState, 'playing');
+    assert.deepEqual(playing.players.map(p => p.hand.length), [27, 26]);
+    assert.equal(playing.turnIndex, 1);
+});
+
+test('removing the current player passes the turn on', () => {
+    const hands = [[card('s', '3'), card('h', '4')], [card('s', '5'), card('h', '6')], [card('s', '7'), card('h', '9')]];
+    const { state, events } = apply(createPlayingState(hands, { turnIndex: 1 }), { type: 'removePlayer', playerId: 'p1' });
+    assert.equal(state.players.length, 2);
+    assert.equal(state.players[state.turnIndex].id, 'p2');
+    assert.deepEqual(eventTypes(events), ['playerRemoved', 'turnStarted']);
+});
+
+test('seats can be reordered only between games', () => {
+    const waiting = addPlayers(engine.createGame(), 3);
+    const { state, events } = apply(waiting, { type: 'reorderPlayers', playerIds: ['p2', 'p0', 'p1'] });
+    assert.deepEqual(state.players.map(p => p.id), ['p2', 'p0', 'p1']);
+    assert.deepEqual(eventTypes(events), ['playersReordered']);
+    assert.equal(engine.applyAction(waiting, { type: 'reorderPlayers', playerIds: ['p0', 'p0', 'p1'] }).error.code, 'INVALID_SEAT_ORDER');
+    assert.equal(engine.applyAction(waiting, { type: 'reorderPlayers', playerIds: ['p0', 'p1'] }).error.code, 'INVALID_SEAT_ORDER');
+
+    const playing = createPlayingState([[card('s', '3')], [card('h', '4')]]);
+    assert.equal(engine.applyAction(playing, { type: 'reorderPlayers', playerIds: ['p1', 'p0'] }).error.code, 'REORDER_BETWEEN_GAMES');
+});
+
+test('stopping a match mid-game ends it with the points so far', () => {
+    const state = createPlayingState([[card('s', '3'), card('h', '5')], [card('h', '4'), card('c', '6')]]);
+    state.players[1].points = 2;
+    const { state: stopped, events } = apply(state, { type: 'stopMatch' });
+    assert.equal(stopped.gameState, 'finished');
+    assert.deepEqual(stopped.players.map(p => p.hand.length), [0, 0]);
+    assert.deepEqual(eventTypes(events), ['matchStopped', 'matchEnded']);
+    assert.deepEqual(events[1].standings.map(s => s.id), ['p1', 'p0']);
+    assert.equal(engine.applyAction(stopped, { type: 'stopMatch' }).error.code, 'MATCH_NOT_IN_PROGRESS');
+});
+
+test('legal plays respect the field', () => {
+    const hand = [card('s', '3'), card('h', '3'), card('s', '4'), card('s', '5'), JOKER];
+    const plays = engine.getLegalPlays(hand, [card('d', '4')], engine.DEFAULT_RULES, { revolution: false, elevenBack: false, lockedSuits: null });
+    const keys = plays.map(cards => cards.map(c => `${c.suit}${c.rank}`).join());
+    assert.deepEqual(keys.sort(), ['jokerjoker', 's5'].sort());
+});
+
+test('two jokers can be played together', () => {
+    const hand = [card('s', '3'), { ...JOKER, id: 'joker:0' }, { ...JOKER, id: 'joker:1' }];
+    const field = [card('s', 'K'), card('h', 'K')];
+    const plays = engine.getLegalPlays(hand, field, engine.DEFAULT_RULES, { revolution: false, elevenBack: false, lockedSuits: null });
+    assert.deepEqual(plays.map(cards => cards.map(c => c.id)), [['joker:0', 'joker:1']]);
+});
+
+test('jokers can stand in for cards that are held in a sequence', () => {
+    const hand = [card('s', '5'), card('s', '7'), card('s', '8'), JOKER, JOKER];
+    const modifiers = { revolution: false, elevenBack: false, lockedSuits: null };
+    const plays = engine.getLegalPlays(hand, [], engine.DEFAULT_RULES, modifiers).map(cards => cards.map(c => `${c.suit}${c.rank}`).sort().join());
+    assert.ok(plays.includes('jokerjoker,jokerjoker,s5,s8'));
+});
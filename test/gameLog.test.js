@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const gameLog = require('../gameLog');
+
+function dispatch(room, action) {
+    const result = engine.applyAction(room, action);
+    assert.equal(result.error, undefined, result.error?.code);
+    Object.assign(room, result.state);
+    gameLog.record(room, action, result.events);
+    return result;
+}
+
+// Plays the lowest card when leading and passes otherwise until the round is over
+function playRound(room) {
+    while (room.gameState === 'playing') {
+        const player = room.players[room.turnIndex];
+        const plays = engine.getLegalPlays(player.hand, room.field, room.gameSettings.rules, room.modifiers, room.lastPlay?.type);
+        const action = room.field.length === 0 && plays.length > 0
+            ? { type: 'playCards', playerId: player.id, cards: plays[0] }
+            : { type: 'pass', playerId: player.id };
+        dispatch(room, action);
+    }
+}
+
+test('records a finished game from the deal to the round end', () => {
+    const room = { ...engine.createGame({ seed: 5 }), code: 'LOG1' };
+    ['a', 'b', 'c'].forEach(id => dispatch(room, { type: 'addPlayer', player: engine.createPlayer(id, id.toUpperCase()) }));
+    assert.deepEqual(gameLog.listReplays('LOG1'), []);
+
+    dispatch(room, { type: 'startMatch' });
+    playRound(room);
+    assert.equal(room.gameState, 'roundEnd');
+
+    const replays = gameLog.listReplays('LOG1');
+    assert.deepEqual(replays.map(r => r.gameNumber), [1]);
+    const replay = gameLog.getReplay('LOG1', 1);
+    assert.equal(replay.format, 'daifugo-replay');
+    assert.deepEqual(Object.values(replay.initialHands).map(h => h.length), [18, 18, 17]);
+    assert.equal(replay.entries[0].action.type, 'startMatch');
+    assert.ok(replay.entries.every(entry => typeof entry.at === 'number'));
+    assert.ok(replay.entries.some(entry => entry.events.some(e => e.type === 'fieldCleared')));
+    assert.deepEqual(replay.results.map(r => r.rank), [1, 2, 3]);
+
+    gameLog.deleteRoom('LOG1');
+    assert.equal(gameLog.getReplay('LOG1', 1), null);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../protocol');
+
+const parse = message => protocol.parseClientMessage(JSON.stringify({ v: protocol.PROTOCOL_VERSION, ...message }));
+
+test('rejects malformed and unversioned messages', () => {
+    assert.equal(protocol.parseClientMessage('{').code, protocol.ERROR_CODES.INVALID_JSON);
+    assert.equal(protocol.parseClientMessage('{"type":"pass"}').code, protocol.ERROR_CODES.UNSUPPORTED_VERSION);
+    assert.equal(parse({ type: 'nope' }).code, protocol.ERROR_CODES.UNKNOWN_TYPE);
+    assert.deepEqual(parse({ type: 'chat', text: 1 }), { valid: false, code: protocol.ERROR_CODES.INVALID_FIELD, params: { field: 'text' } });
+});
+
+test('chat text is trimmed and limited in length', () => {
+    assert.deepEqual(parse({ type: 'chat', text: '  よろしく  ' }), { valid: true, data: { type: 'chat', text: 'よろしく' } });
+    assert.equal(parse({ type: 'chat', text: '   ' }).code, protocol.ERROR_CODES.INVALID_FIELD);
+    assert.equal(parse({ type: 'chat', text: 'あ'.repeat(101) }).code, protocol.ERROR_CODES.INVALID_FIELD);
+    assert.equal(parse({ type: 'chat', text: 'a\nb' }).code, protocol.ERROR_CODES.INVALID_FIELD);
+});
+
+test('only preset reactions are accepted', () => {
+    assert.equal(parse({ type: 'reaction', reaction: 'nice' }).valid, true);
+    assert.equal(parse({ type: 'reaction', reaction: 'toString' }).code, protocol.ERROR_CODES.INVALID_FIELD);
+});
+
+test('room visibility must be known and passwords stay optional', () => {
+    assert.equal(parse({ type: 'setRoomVisibility', visibility: 'public' }).valid, true);
+    assert.equal(parse({ type: 'setRoomVisibility', visibility: 'secret' }).code, protocol.ERROR_CODES.INVALID_FIELD);
+    assert.equal(parse({ type: 'setRoomVisibility', password: 'abc' }).code, protocol.ERROR_CODES.INVALID_FIELD);
+    assert.equal(parse({ type: 'joinRoom', name: 'A', roomCode: 'ABCD', password: 'x'.repeat(33) }).code, protocol.ERROR_CODES.INVALID_FIELD);
+});
+
+test('cards may carry an id to tell duplicates apart', () => {
+    const played = parse({ type: 'playCards', cards: [{ suit: 's', rank: '9', id: 's9:1', value: 7 }] });
+    assert.deepEqual(played.data.cards, [{ suit: 's', rank: '9', id: 's9:1' }]);
+    assert.equal(parse({ type: 'playCards', cards: [{ suit: 's', rank: '9', id: '<b>' }] }).code, protocol.ERROR_CODES.INVALID_FIELD);
+});
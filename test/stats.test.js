@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stats = require('../stats');
+
+function createRoom(players) {
+    return { players: players.map(([id, profileId, isCpu = false]) => ({ id, profileId, isCpu })) };
+}
+
+test('profile ids are stable and do not reveal the player key', () => {
+    const key = 'a'.repeat(32);
+    assert.equal(stats.getProfileId(key), stats.getProfileId(key));
+    assert.notEqual(stats.getProfileId(key), stats.getProfileId('b'.repeat(32)));
+    assert.ok(!stats.getProfileId(key).includes(key));
+});
+
+test('finished games update positions, roles and 8切り counts', () => {
+    const profiles = new Map([['x', stats.createProfile('x', 'X')], ['y', stats.createProfile('y', 'Y')]]);
+    const room = createRoom([['p0', 'x'], ['p1', 'y'], ['p2', null, true]]);
+    const changed = stats.recordEvents(profiles, room, [
+        { type: 'eightCut', playerId: 'p0' },
+        { type: 'eightCut', playerId: 'p2' },
+        {
+            type: 'roundEnded', gameCount: 1, results: [
+                { playerId: 'p0', rank: 1, role: '大富豪' },
+                { playerId: 'p2', rank: 2, role: '平民' },
+                { playerId: 'p1', rank: 3, role: '大貧民' },
+            ],
+        },
+    ]);
+    assert.deepEqual(changed.map(p => p.id).sort(), ['x', 'y']);
+
+    const x = stats.getPublicProfile(profiles.get('x'));
+    assert.equal(x.gamesPlayed, 1);
+    assert.deepEqual(x.finishes, { 1: 1 });
+    assert.equal(x.daifugoCount, 1);
+    assert.equal(x.eightCutCount, 1);
+    assert.equal(profiles.get('y').daihinminCount, 1);
+    assert.equal(stats.getPublicProfile(profiles.get('y')).averageRank, 3);
+
+    assert.deepEqual(stats.getLeaderboard(profiles).map(p => p.id), ['x', 'y']);
+    assert.deepEqual(stats.getLeaderboard(profiles, 'averageRank').map(p => p.id), ['x', 'y']);
+});
+
+test('leaderboard leaves out players without finished games', () => {
+    const profiles = new Map([['z', stats.createProfile('z', 'Z')]]);
+    assert.deepEqual(stats.getLeaderboard(profiles, 'unknown'), []);
+});